@@ -1,22 +1,13 @@
-import React, { useState } from "react";
-import Example from "./components/example/Example";
+import React from "react";
+import { Router } from "./utils/react/router";
+import { ScrollRestoration } from "./utils/react/scrollRestoration";
+import NotFound from "./components/notFound/NotFound";
+import routes from "./routes";
 
-const App = () => {
-    const [highlightText, setHighlightText] = useState(false);
-
-    return (
-        <div>
-            <h1>React Application Works!</h1>
-            <Example highlightMessage={highlightText} />
-            <label>
-                <input
-                    type="checkbox"
-                    onChange={e => setHighlightText(e.target.checked)}
-                />
-                &nbsp;Highlight Message
-            </label>
-        </div>
-    );
-};
+const App = () => (
+    <Router routes={routes} notFound={NotFound}>
+        <ScrollRestoration headerOffset="nav" />
+    </Router>
+);
 
 export default App;
@@ -0,0 +1,18 @@
+import React from "react";
+import PropTypes from "prop-types";
+import Example from "../example/Example";
+
+const Greeting = ({ params }) => (
+    <div>
+        <h1>Greetings!</h1>
+        <Example message={params.message} highlightMessage />
+    </div>
+);
+
+Greeting.propTypes = {
+    params: PropTypes.shape({
+        message: PropTypes.string
+    }).isRequired
+};
+
+export default Greeting;
@@ -0,0 +1,22 @@
+import React, { useState } from "react";
+import Example from "../example/Example";
+
+const Home = () => {
+    const [highlightText, setHighlightText] = useState(false);
+
+    return (
+        <div>
+            <h1>React Application Works!</h1>
+            <Example highlightMessage={highlightText} />
+            <label>
+                <input
+                    type="checkbox"
+                    onChange={e => setHighlightText(e.target.checked)}
+                />
+                &nbsp;Highlight Message
+            </label>
+        </div>
+    );
+};
+
+export default Home;
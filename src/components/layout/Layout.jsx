@@ -0,0 +1,20 @@
+import React from "react";
+import PropTypes from "prop-types";
+import { Link } from "../../utils/react/router";
+
+const Layout = ({ children }) => (
+    <>
+        <nav>
+            <Link to="/">Home</Link>
+            &nbsp;|&nbsp;
+            <Link to="/greeting/Router">Greeting</Link>
+        </nav>
+        <main>{children}</main>
+    </>
+);
+
+Layout.propTypes = {
+    children: PropTypes.node
+};
+
+export default Layout;
@@ -0,0 +1,13 @@
+import React from "react";
+import { Link } from "../../utils/react/router";
+
+const NotFound = () => (
+    <div>
+        <h1>Page not found</h1>
+        <p>
+            <Link to="/">Go to the front page</Link>
+        </p>
+    </div>
+);
+
+export default NotFound;
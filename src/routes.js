@@ -0,0 +1,20 @@
+// Route definitions for the App. Routes with a `load` function are code splitted, so their chunk is only
+// downloaded once the route is visited. See utils/react/router for the details.
+import Layout from "./components/layout/Layout";
+import Home from "./components/home/Home";
+
+const routes = [
+    {
+        path: "/",
+        component: Layout,
+        children: [
+            { path: "", component: Home },
+            {
+                path: "greeting/:message",
+                load: () => import("./components/greeting/Greeting")
+            }
+        ]
+    }
+];
+
+export default routes;
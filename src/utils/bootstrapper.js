@@ -45,6 +45,68 @@
  *
  * let element = document.querySelector(".class");
  * bootstrapConstructorOnElement(element, WhateverConstructorYouWant, "name-of-module");
+ *
+ * @example
+ * <caption>
+ * If markup is inserted after the page has loaded (AJAX, CMS previews etc.), you can make the bootstrapper watch the
+ * DOM for changes. Every module registered through `bootstrapper()` or `asyncBootstrapper()` - before or after this
+ * call - will be instantiated on inserted elements, and removed elements will get the destroy event.
+ * </caption>
+ *
+ * import { bootstrapper, enableDOMObserver } from "./utils/bootstrapper";
+ *
+ * bootstrapper({
+ *     "someExample": WhateverConstructorYouWant,
+ * });
+ *
+ * enableDOMObserver();
+ *
+ * @example
+ * <caption>
+ * Every instance is kept in a registry, so you can find it again later. Modules can also implement a set of
+ * optional lifecycle hooks, which the bootstrapper will call automatically - so you don't have to set up your
+ * own listeners for the most common stuff:
+ * </caption>
+ *
+ * import { getInstance, getInstances, getAllInstances } from "./utils/bootstrapper";
+ *
+ * export class WhateverConstructorYouWant {
+ *     constructor(element) { ... }
+ *
+ *     // Called once the instance has been created and registered.
+ *     onInit() { ... }
+ *
+ *     // Called every time the element scrolls into view.
+ *     onVisible(intersectionObserverEntry) { ... }
+ *
+ *     // Called every time the active breakpoint changes. See utils/events/onWindowResize.
+ *     onBreakpointChange({ currentBreakpoint, currentBreakpointName, previousBreakpointName }) { ... }
+ *
+ *     // Called when the destroy event is fired on the element.
+ *     destroy() { ... }
+ * }
+ *
+ * const element = document.querySelector(".class");
+ * getInstance(element, "someExample"); // The "someExample" instance on the element.
+ * getInstances(element); // All instances on the element.
+ * getInstances("someExample"); // All "someExample" instances on the page.
+ * getAllInstances(); // Everything, as a list of `{ element, moduleName, instance }`.
+ *
+ * @example
+ * <caption>
+ * Modules that declare a static `optionsSchema` get their options parsed from data attributes (or a
+ * `<script type="application/json">` inside the element), converted and validated, and passed as the second
+ * argument to the constructor. See `utils/moduleOptions` for the details.
+ * </caption>
+ *
+ * export class WhateverConstructorYouWant {
+ *     static optionsSchema = {
+ *         delay: { type: "number", default: 300 },
+ *         title: { type: "string", required: true }
+ *     };
+ *
+ *     constructor(element, options) { ... }
+ * }
  */
 
 /*
@@ -96,14 +158,21 @@ import { triggerCustomEvent } from "./events/triggerCustomEvent";
 import { forEach } from "./forEach";
 import { addClass, hasClass, removeClass } from "./dom/classList";
 import { splitter } from "./splitter";
-
-/**
- * The event name that will kill any given instantiation. Can be customized to your liking, but only before you start
- * using the bootstrapper.
- *
- * @type {string}
- */
-export const destroyEventName = "akqa.bootstrapper:destroyInstance";
+import { addEvent, removeEvent } from "./events/events";
+import { onReady } from "./events/onReady";
+import {
+    breakpointIndex,
+    breakpointMin,
+    currentBreakpointName,
+    onWindowResize,
+    removeCallback
+} from "./events/onWindowResize";
+import { filter } from "./filter";
+import { parseModuleOptions } from "./moduleOptions";
+import { destroyEventName } from "./events/eventNames";
+
+// The destroy event lives in its own module, so code that only listens for it doesn't have to import all of this.
+export { destroyEventName };
 
 /**
  * Once a constructor is initialized, this string will be appended to the active module name and added as a class.
@@ -124,6 +193,89 @@ export const initializedAppendClass = "--initialized";
  */
 export const moduleLookupPropertyName = "data-module";
 
+/**
+ * The DOM property used by the `asyncBootstrapper()` to figure out when a module should be loaded. If it isn't set,
+ * the module is loaded right away. Otherwise, it can be one of the following:
+ *
+ * - `visible`: Load when the element scrolls into view.
+ * - `interaction`: Load when the user first hovers, focuses, clicks or touches the element.
+ * - `idle`: Load when the browser is idle.
+ * - `breakpoint:md`: Load when the given breakpoint (or a larger one) is active. See `utils/events/onWindowResize`.
+ *
+ * `<element data-module="yourNameHere" data-module-load="visible"></element>`
+ *
+ * If the element is destroyed (see `destroyEventName`) before then, the module is never started.
+ *
+ * @type {string}
+ */
+export const loadStrategyPropertyName = "data-module-load";
+
+/**
+ * The root margin used when loading modules with the "visible" strategy. A positive margin will start loading the
+ * module a bit before it actually scrolls into view.
+ *
+ * @type {string}
+ */
+export const visibleLoadMargin = "200px";
+
+/**
+ * A module instance created by the bootstrapper.
+ *
+ * @typedef {object} BootstrappedInstance
+ * @property {HTMLElement|Element} element - The element the instance was created on.
+ * @property {string} moduleName - The name of the module.
+ * @property {Object} instance - The instance itself.
+ */
+
+/**
+ * Every instance currently alive on the page.
+ *
+ * @private
+ * @type {BootstrappedInstance[]}
+ */
+let liveInstances = [];
+
+/**
+ * The IntersectionObserver used for the `onVisible()` lifecycle hook.
+ *
+ * @private
+ * @type {IntersectionObserver|null}
+ */
+let lifecycleVisibilityObserver = null;
+
+/**
+ * The breakpoint we last told the `onBreakpointChange()` hooks about. `null` until the breakpoint listener is bound.
+ *
+ * @private
+ * @type {string|null}
+ */
+let lastKnownBreakpointName = null;
+
+/**
+ * Every module registered through the bootstrappers, so the DOM observer knows what to look for in inserted markup.
+ * Key is the module name, value is the constructor (or async loader) and whether or not it should be treated as async.
+ *
+ * @private
+ * @type {Object<string, {ConstructorReference: function, isAsync: boolean}>}
+ */
+const registeredModules = {};
+
+/**
+ * The IntersectionObserver used for the "visible" load strategy, and the callbacks waiting for each element.
+ *
+ * @private
+ */
+let visibilityObserver = null;
+const visibilityCallbacks = new Map();
+
+/**
+ * The MutationObserver used by `enableDOMObserver()`, if enabled.
+ *
+ * @private
+ * @type {MutationObserver|null}
+ */
+let domObserver = null;
+
 /**
  * Create a callback function to kill the given instantiation.
  *
@@ -152,6 +304,9 @@ function createInstanceKillerCallback(
             instance.destroy();
         }
 
+        // Remove the instance from the registry, and stop watching the element if nobody else needs it.
+        unregisterInstance(instance);
+
         // Try recovering the allocated memory from the instance.
         instance = null; // eslint-disable-line no-param-reassign
 
@@ -189,27 +344,156 @@ function createInstanceKillerCallback(
     return handlerFunction;
 }
 
+/**
+ * Tell every instance with an `onBreakpointChange()` hook that the breakpoint has changed.
+ *
+ * @private
+ * @param {object} windowSizes - The data given by `onWindowResize()`.
+ */
+function notifyBreakpointChange({ currentBreakpoint, currentBreakpointName }) {
+    if (currentBreakpointName !== lastKnownBreakpointName) {
+        const previousBreakpointName = lastKnownBreakpointName;
+        lastKnownBreakpointName = currentBreakpointName;
+
+        // Copy the list, in case a hook destroys an instance while we're looping.
+        forEach(liveInstances.slice(), ({ instance }) => {
+            if (typeof instance.onBreakpointChange === "function") {
+                instance.onBreakpointChange({
+                    currentBreakpoint,
+                    currentBreakpointName,
+                    previousBreakpointName
+                });
+            }
+        });
+    }
+}
+
+/**
+ * Call the `onVisible()` hooks of the instances on elements that have scrolled into view.
+ *
+ * @private
+ * @param {IntersectionObserverEntry[]} entries
+ */
+function notifyVisibility(entries) {
+    forEach(entries, entry => {
+        if (entry.isIntersecting) {
+            forEach(getInstances(entry.target), instance => {
+                if (typeof instance.onVisible === "function") {
+                    instance.onVisible(entry);
+                }
+            });
+        }
+    });
+}
+
+/**
+ * Add an instance to the registry, and set up whatever its lifecycle hooks need.
+ *
+ * @private
+ * @param {HTMLElement|Element} domObject
+ * @param {string} moduleName
+ * @param {Object} instance
+ */
+function registerInstance(domObject, moduleName, instance) {
+    liveInstances.push({ element: domObject, moduleName, instance });
+
+    if (typeof instance.onInit === "function") {
+        instance.onInit();
+    }
+
+    if (typeof instance.onVisible === "function") {
+        if ("IntersectionObserver" in window) {
+            if (!lifecycleVisibilityObserver) {
+                lifecycleVisibilityObserver = new IntersectionObserver(
+                    notifyVisibility
+                );
+            }
+
+            lifecycleVisibilityObserver.observe(domObject);
+        } else {
+            // Without IntersectionObserver we can't tell, so we'll just assume the element is visible.
+            instance.onVisible();
+        }
+    }
+
+    // The breakpoint listener is bound the first time anybody needs it. We'll wait for the current breakpoint
+    // to be calculated before setting the baseline.
+    if (
+        typeof instance.onBreakpointChange === "function" &&
+        lastKnownBreakpointName === null
+    ) {
+        lastKnownBreakpointName = "";
+        onReady(() => {
+            lastKnownBreakpointName = currentBreakpointName;
+            onWindowResize(notifyBreakpointChange);
+        });
+    }
+}
+
+/**
+ * Remove an instance from the registry.
+ *
+ * @private
+ * @param {Object} instance
+ */
+function unregisterInstance(instance) {
+    const record = filter(
+        liveInstances,
+        entry => entry.instance === instance
+    )[0];
+
+    if (record) {
+        liveInstances = filter(liveInstances, entry => entry !== record);
+
+        // Stop watching the element, unless another instance on it still wants to know about its visibility.
+        if (
+            lifecycleVisibilityObserver &&
+            !filter(
+                getInstances(record.element),
+                otherInstance => typeof otherInstance.onVisible === "function"
+            ).length
+        ) {
+            lifecycleVisibilityObserver.unobserve(record.element);
+        }
+    }
+}
+
 /**
  * Spawn a constructor for the given DOM element.
  *
  * @private
  * @param {HTMLElement|Element|HTMLDocument} domObject
  * @param {function} ConstructorReference
- * @param {string} initializedTargetClass
+ * @param {string} moduleName
  * @returns {Object}
  */
-function spawnInstance(
-    domObject,
-    ConstructorReference,
-    initializedTargetClass
-) {
+function spawnInstance(domObject, ConstructorReference, moduleName) {
+    const initializedTargetClass = moduleName + initializedAppendClass;
+
     // Only continue if an instantiation hasn't been set up before.
     if (!hasClass(domObject, initializedTargetClass)) {
+        let options;
+
+        // If the module declares an options schema, read and validate its options from the element. If they
+        // don't validate, the module would only break anyway, so we won't start it.
+        if (ConstructorReference.optionsSchema) {
+            try {
+                options = parseModuleOptions(
+                    domObject,
+                    ConstructorReference.optionsSchema,
+                    moduleName
+                );
+            } catch (error) {
+                window.console.error(error.message, domObject);
+                return;
+            }
+        }
+
         // Add the "initialized"-class, just because.
         addClass(domObject, initializedTargetClass);
 
         // Create the new instantiation right away.
-        const instance = new ConstructorReference(domObject);
+        const instance = new ConstructorReference(domObject, options);
 
         // Create an event handler for
         const killEventHandler = createInstanceKillerCallback(
@@ -223,10 +507,248 @@ function spawnInstance(
         // collection) when we're using SPA's or similar.
         domObject.addEventListener(destroyEventName, killEventHandler);
 
+        // Keep track of the instance, and call its lifecycle hooks.
+        registerInstance(domObject, moduleName, instance);
+
         return instance;
     }
 }
 
+/**
+ * Run the callback when the given element scrolls into view.
+ *
+ * @private
+ * @param {HTMLElement|Element} domObject
+ * @param {function} callback
+ * @returns {function|undefined} A function to stop waiting, unless the callback has been run already.
+ */
+function whenVisible(domObject, callback) {
+    // Old browsers will just have to load everything at once.
+    if (!("IntersectionObserver" in window)) {
+        callback();
+        return;
+    }
+
+    if (!visibilityObserver) {
+        visibilityObserver = new IntersectionObserver(
+            entries =>
+                forEach(entries, entry => {
+                    if (entry.isIntersecting) {
+                        const callbacks = visibilityCallbacks.get(entry.target);
+
+                        visibilityObserver.unobserve(entry.target);
+                        visibilityCallbacks.delete(entry.target);
+                        forEach(callbacks, waitingCallback =>
+                            waitingCallback()
+                        );
+                    }
+                }),
+            { rootMargin: visibleLoadMargin }
+        );
+    }
+
+    // More than one module can live on the same element, so we'll keep a list of callbacks for each.
+    const callbacks = visibilityCallbacks.get(domObject) || [];
+    callbacks.push(callback);
+    visibilityCallbacks.set(domObject, callbacks);
+
+    visibilityObserver.observe(domObject);
+
+    return () => {
+        const otherCallbacks = filter(
+            visibilityCallbacks.get(domObject) || [],
+            waitingCallback => waitingCallback !== callback
+        );
+
+        if (otherCallbacks.length) {
+            visibilityCallbacks.set(domObject, otherCallbacks);
+        } else {
+            visibilityObserver.unobserve(domObject);
+            visibilityCallbacks.delete(domObject);
+        }
+    };
+}
+
+/**
+ * Run the callback the first time the user interacts with the given element.
+ *
+ * @private
+ * @param {HTMLElement|Element} domObject
+ * @param {function} callback
+ * @returns {function} A function to stop waiting.
+ */
+function whenInteractedWith(domObject, callback) {
+    const eventTypes = "mouseenter focusin click touchstart";
+
+    const interactionHandler = () => {
+        removeEvent(domObject, eventTypes, interactionHandler);
+        callback();
+    };
+
+    addEvent(domObject, eventTypes, interactionHandler);
+
+    return () => removeEvent(domObject, eventTypes, interactionHandler);
+}
+
+/**
+ * Run the callback when the browser is idle.
+ *
+ * @private
+ * @param {function} callback
+ */
+function whenIdle(callback) {
+    if ("requestIdleCallback" in window) {
+        window.requestIdleCallback(callback);
+    } else {
+        window.setTimeout(callback, 1);
+    }
+}
+
+/**
+ * Run the callback when the given breakpoint (or a larger one) is active.
+ *
+ * @private
+ * @param {string} breakpointName
+ * @param {function} callback
+ * @returns {function|undefined} A function to stop waiting, unless the callback has been run already.
+ */
+function whenBreakpointIsActive(breakpointName, callback) {
+    if (!breakpointIndex.hasOwnProperty(breakpointName)) {
+        window.console.error(
+            `Unknown breakpoint '${breakpointName}' in ${loadStrategyPropertyName}. Loading the module right away.`
+        );
+        callback();
+        return;
+    }
+
+    let isWaiting = true;
+    let resizeHandler = null;
+
+    // Wait for the current breakpoint to be calculated before checking it.
+    onReady(() => {
+        if (!isWaiting) {
+            return;
+        }
+
+        if (breakpointMin(breakpointName)) {
+            callback();
+        } else {
+            resizeHandler = () => {
+                if (breakpointMin(breakpointName)) {
+                    removeCallback(resizeHandler);
+                    callback();
+                }
+            };
+
+            onWindowResize(resizeHandler);
+        }
+    });
+
+    return () => {
+        isWaiting = false;
+
+        if (resizeHandler) {
+            removeCallback(resizeHandler);
+        }
+    };
+}
+
+/**
+ * Run the callback once the load strategy set on the element (see `loadStrategyPropertyName`) is met.
+ *
+ * @private
+ * @param {HTMLElement|Element} domObject
+ * @param {function} callback
+ * @returns {function|undefined} A function to stop waiting, if there's anything to wait for.
+ */
+function whenLoadStrategyIsMet(domObject, callback) {
+    const loadStrategy = domObject.getAttribute(loadStrategyPropertyName);
+
+    if (!loadStrategy) {
+        callback();
+        return;
+    }
+
+    const [strategyName, strategyValue] = loadStrategy.trim().split(":");
+
+    switch (strategyName) {
+        case "visible":
+            return whenVisible(domObject, callback);
+        case "interaction":
+            return whenInteractedWith(domObject, callback);
+        case "idle":
+            whenIdle(callback);
+            break;
+        case "breakpoint":
+            return whenBreakpointIsActive(strategyValue, callback);
+        default:
+            window.console.error(
+                `Unknown load strategy '${loadStrategy}' in ${loadStrategyPropertyName}. Loading the module right away.`
+            );
+            callback();
+    }
+}
+
+/**
+ * Start the given constructor (or async loader) on the given DOM element.
+ *
+ * @private
+ * @param {HTMLElement|Element} domObject
+ * @param {string} moduleName
+ * @param {function} ConstructorReference
+ * @param {boolean} [treatConstructorAsAsyncLoader=false] Treat the constructor not as a class but as an async-loader that should be resolved before spawning it.
+ */
+function spawnModuleOnElement(
+    domObject,
+    moduleName,
+    ConstructorReference,
+    treatConstructorAsAsyncLoader = false
+) {
+    const constructorType = typeof ConstructorReference;
+
+    if (treatConstructorAsAsyncLoader) {
+        let isLoading = false;
+        let isDestroyed = false;
+
+        // The element might be destroyed (ie. removed) before the module has been loaded. If so, we'll stop waiting
+        // for the load strategy, and won't start the module on the detached element once it's loaded anyway.
+        const destroyHandler = event => {
+            // Make sure the event doesn't travel up the DOM tree and destroy something we'd need for later.
+            event.stopPropagation();
+            domObject.removeEventListener(destroyEventName, destroyHandler);
+            isDestroyed = true;
+
+            if (!isLoading && stopWaiting) {
+                stopWaiting();
+            }
+        };
+
+        domObject.addEventListener(destroyEventName, destroyHandler);
+
+        // Don't even start downloading the module until we're told to.
+        const stopWaiting = whenLoadStrategyIsMet(domObject, () => {
+            isLoading = true;
+
+            ConstructorReference().then(ResolvedConstructor => {
+                domObject.removeEventListener(destroyEventName, destroyHandler);
+
+                if (!isDestroyed) {
+                    spawnInstance(domObject, ResolvedConstructor, moduleName);
+                }
+            });
+        });
+    } else {
+        // Stop right now if the given reference isn't actually a function.
+        if (constructorType === "function") {
+            spawnInstance(domObject, ConstructorReference, moduleName);
+        } else {
+            window.console.error(
+                `ConstructorReference (for '${moduleName}') is not a function, but a ${constructorType}. The bootstrapper needs a constructor function to work with.`
+            );
+        }
+    }
+}
+
 /**
  * Find all DOM-elements matching the given module names, and start the associated constructors for each of them.
  *
@@ -238,6 +760,14 @@ function spawnInstancesFromObject(
     objectData,
     treatConstructorsAsAsyncLoaders = false
 ) {
+    // Remember the modules, in case the DOM observer is (or will be) enabled.
+    forEach(objectData, (ConstructorReference, moduleName) => {
+        registeredModules[moduleName] = {
+            ConstructorReference,
+            isAsync: treatConstructorsAsAsyncLoaders
+        };
+    });
+
     const domElements = document.querySelectorAll(
         `[${moduleLookupPropertyName}]`
     );
@@ -246,37 +776,86 @@ function spawnInstancesFromObject(
             moduleLookupPropertyName
         );
         splitter(moduleNames, moduleName => {
-            if (moduleName) {
-                const ConstructorReference = objectData[moduleName];
-
-                if (ConstructorReference) {
-                    const constructorType = typeof ConstructorReference;
-
-                    if (treatConstructorsAsAsyncLoaders) {
-                        // Using the objectData-reference to avoid trouble with ESLint. But it's the same as
-                        // using ConstructorReference.
-                        objectData[moduleName]().then(ResolvedConstructor =>
-                            spawnInstance(
-                                currentElement,
-                                ResolvedConstructor,
-                                moduleName + initializedAppendClass
-                            )
-                        );
-                    } else {
-                        // Stop right now if the given reference isn't actually a function.
-                        if (constructorType === "function") {
-                            spawnInstance(
-                                currentElement,
-                                ConstructorReference,
-                                moduleName + initializedAppendClass
-                            );
-                        } else {
-                            window.console.error(
-                                `ConstructorReference (for '${moduleName}') is not a function, but a ${constructorType}. The bootstrapper needs a constructor function to work with.`
-                            );
+            if (moduleName && objectData[moduleName]) {
+                spawnModuleOnElement(
+                    currentElement,
+                    moduleName,
+                    objectData[moduleName],
+                    treatConstructorsAsAsyncLoaders
+                );
+            }
+        });
+    });
+}
+
+/**
+ * Find the given element and all its descendants that have a module name set.
+ *
+ * @private
+ * @param {Element} element
+ * @returns {Element[]}
+ */
+function getModuleElementsInNode(element) {
+    const moduleElements = [];
+
+    if (element.hasAttribute(moduleLookupPropertyName)) {
+        moduleElements.push(element);
+    }
+
+    forEach(
+        element.querySelectorAll(`[${moduleLookupPropertyName}]`),
+        childElement => moduleElements.push(childElement)
+    );
+
+    return moduleElements;
+}
+
+/**
+ * Handle DOM mutations for the DOM observer: destroy modules inside removed nodes, and spawn registered modules
+ * inside inserted nodes.
+ *
+ * @private
+ * @param {MutationRecord[]} mutations
+ */
+function handleDOMMutations(mutations) {
+    const root = document.documentElement;
+
+    forEach(mutations, mutation => {
+        forEach(mutation.removedNodes, removedNode => {
+            // Nodes that are still in the document have just been moved, so leave them alone.
+            if (removedNode.nodeType === 1 && !root.contains(removedNode)) {
+                // Every module element gets the event, and we'll tell them not to look further down the tree, since
+                // we've already found everything there is to find.
+                forEach(getModuleElementsInNode(removedNode), moduleElement =>
+                    triggerCustomEvent(moduleElement, destroyEventName, {
+                        doNotPropagateDown: true
+                    })
+                );
+            }
+        });
+
+        forEach(mutation.addedNodes, addedNode => {
+            // Nodes that were removed again before we got to them are of no interest to us. Nested insertions
+            // will be found more than once, but the "initialized" class will keep them from being spawned twice.
+            if (addedNode.nodeType === 1 && root.contains(addedNode)) {
+                forEach(getModuleElementsInNode(addedNode), moduleElement =>
+                    splitter(
+                        moduleElement.getAttribute(moduleLookupPropertyName),
+                        moduleName => {
+                            const registeredModule =
+                                registeredModules[moduleName];
+
+                            if (registeredModule) {
+                                spawnModuleOnElement(
+                                    moduleElement,
+                                    moduleName,
+                                    registeredModule.ConstructorReference,
+                                    registeredModule.isAsync
+                                );
+                            }
                         }
-                    }
-                }
+                    )
+                );
             }
         });
     });
@@ -298,11 +877,7 @@ export function bootstrapConstructorOnElement(
 ) {
     const usedModuleName =
         moduleName || domReference.getAttribute(moduleLookupPropertyName);
-    return spawnInstance(
-        domReference,
-        ConstructorReference,
-        usedModuleName + initializedAppendClass
-    );
+    return spawnInstance(domReference, ConstructorReference, usedModuleName);
 }
 
 /**
@@ -345,6 +920,11 @@ export function bootstrapper(target, ConstructorReference) {
  * or similar), just turn it into a singleton instead. The `asyncBootstrapper` is for
  * hardcore code splitting.
  *
+ * To go even further, you can tell each element when its modules should be loaded, using the
+ * `data-module-load` attribute (see `loadStrategyPropertyName`). Nothing is downloaded until then.
+ * Please note that with the "interaction" strategy, the interaction that triggers the load will
+ * have happened before the module is ready, so the module won't see it.
+ *
  *
  * @param {string|object} target - When defined as a string: the name of the module; used for looking up DOM-elements that match. When defined as an object: key defines name, value is used as the moduleResolverPromise.
  * @param {function} [moduleResolverPromise] - The import-promise that loads the constructor to instantiate.
@@ -356,6 +936,13 @@ export function bootstrapper(target, ConstructorReference) {
  *         "otherModule": () => import("./modules/otherModule").then(module => module.YetAnotherConstructor),
  *         "krombopulosMichael": () => import("./modules/krombopulosMichael").then(module => module.OohBoyHereIGoKillingAgain),
  *     };
+ *
+ * @example <caption>Defer loading until the module is needed:</caption>
+ * {@lang html}
+ * <div data-module="example" data-module-load="visible"></div>
+ * <div data-module="example2" data-module-load="interaction"></div>
+ * <div data-module="otherModule" data-module-load="idle"></div>
+ * <div data-module="krombopulosMichael" data-module-load="breakpoint:md"></div>
  */
 export function asyncBootstrapper(target, moduleResolverPromise) {
     if (typeof target === "string") {
@@ -368,3 +955,68 @@ export function asyncBootstrapper(target, moduleResolverPromise) {
         );
     }
 }
+
+/**
+ * Watch the DOM for changes, and bootstrap any registered module that shows up in inserted markup. Modules inside
+ * removed markup will get the destroy event (see `destroyEventName`), so they can clean up after themselves.
+ *
+ * Every module ever passed to `bootstrapper()` or `asyncBootstrapper()` is registered, regardless of whether
+ * the observer was enabled before or after. Calling this function more than once has no effect.
+ *
+ * @param {HTMLElement|Element} [rootNode=document.body] - The element to watch. Everything below it is watched too.
+ */
+export function enableDOMObserver(rootNode = document.body) {
+    if (!domObserver) {
+        domObserver = new MutationObserver(handleDOMMutations);
+        domObserver.observe(rootNode, { childList: true, subtree: true });
+    }
+}
+
+/**
+ * Stop watching the DOM for changes. Modules that are already running are left alone.
+ */
+export function disableDOMObserver() {
+    if (domObserver) {
+        domObserver.disconnect();
+        domObserver = null;
+    }
+}
+
+/**
+ * Get the instance of the given module running on the given element.
+ *
+ * @param {HTMLElement|Element} domReference - The element to look at.
+ * @param {string} [moduleName] - The name of the module. If omitted, the first instance found on the element is returned.
+ * @returns {Object|undefined} The instance, or `undefined` if none was found.
+ */
+export function getInstance(domReference, moduleName) {
+    return filter(
+        liveInstances,
+        entry =>
+            entry.element === domReference &&
+            (!moduleName || entry.moduleName === moduleName)
+    ).map(entry => entry.instance)[0];
+}
+
+/**
+ * Get all instances running on the given element, or all instances of the given module.
+ *
+ * @param {HTMLElement|Element|string} target - When given an element: the instances on that element. When given a string: the instances of the module with that name.
+ * @returns {Object[]} The instances found, if any.
+ */
+export function getInstances(target) {
+    return filter(liveInstances, entry =>
+        typeof target === "string"
+            ? entry.moduleName === target
+            : entry.element === target
+    ).map(entry => entry.instance);
+}
+
+/**
+ * Get every instance currently alive on the page.
+ *
+ * @returns {BootstrappedInstance[]}
+ */
+export function getAllInstances() {
+    return liveInstances.slice();
+}
@@ -0,0 +1,19 @@
+/**
+ * Names of the custom events shared between modules. Kept on their own, so using an event doesn't mean pulling in
+ * the module that fires it.
+ *
+ * @module utils/events/eventNames
+ *
+ * @example
+ * import { destroyEventName } from "./utils/events/eventNames";
+ *
+ * element.addEventListener(destroyEventName, () => this.destroy());
+ */
+
+/**
+ * The event name that will kill any given instantiation. It's a fixed name shared by the bootstrapper, the React
+ * bootstrapper and the message bus, so it can't be changed from the outside.
+ *
+ * @type {string}
+ */
+export const destroyEventName = "akqa.bootstrapper:destroyInstance";
@@ -1,8 +1,8 @@
 /**
  * Gesture class
  *
- * This class sets up listeners for mouse and touch events and fires your specified callback(s) with calculated data on
- * what ever gestures are in progress. Drag, swipe, pinch and rotate.
+ * This class sets up listeners for pointer events (or mouse and touch events, in browsers without pointer events) and fires
+ * your specified callback(s) with calculated data on what ever gestures are in progress. Drag, swipe, pinch and rotate - as well as taps, double taps and long presses.
  *
  *
  * @author Lars Munkholm <lars.munkholm@akqa.com>
@@ -118,6 +118,38 @@
  *
  * swipeHandler.onDrag(swipeFunction);
  *
+ *
+ * @example <caption>Drawing with a pen:
+ *
+ * With pointer events, pens are handled like touch points, and the callback data includes the `pointerType`, the
+ * average `pressure` (0 to 1) and `tilt` (-90 to 90 degrees on each axis) of the points. Devices that can't tell report
+ * a pressure of 0.5 while pressed, and no tilt.
+ * </caption>
+ * import { Gesture } from "./utils/events/gesture";
+ *
+ * new Gesture(canvas).onDrag(data => {
+ *     if (data.pointerType === "pen") {
+ *         drawLine(data.position.current, data.pressure * 10);
+ *     }
+ * });
+ *
+ *
+ * @example <caption>Taps and long presses:
+ *
+ * Taps, double taps and long presses rule each other out - so a double tap doesn't fire two single taps (or clicks)
+ * first, and letting go after a long press isn't a tap. The price is that single taps (and clicks) wait for
+ * `tapInterval` ms to make sure no second tap is coming, but only when a double (or triple...) tap is listened for.
+ * </caption>
+ * import { Gesture } from "./utils/events/gesture";
+ *
+ * const photo = document.getElementById("photo");
+ *
+ * new Gesture(photo)
+ *     .onClick(() => openPhoto())
+ *     .onDoubleTap(data => zoomTo(data.position))
+ *     .onTap(() => window.console.log("Triple tap!"), { taps: 3 })
+ *     .onLongPress(data => showMenu(data.position), { duration: 600, tolerance: 5 });
+ *
  */
 
 import { addEvent, removeEvent } from "./events";
@@ -129,6 +161,60 @@ import {
 } from "../calc/coordinates";
 import { forEach } from "../forEach";
 
+// The events to listen for on the document during a gesture, and on the element when waiting for a click
+const moveEvents = "touchmove mousemove pointermove";
+const endEvents = "touchend touchcancel mouseup pointerup pointercancel";
+const clickEvents = "touchend mouseup pointerup";
+
+// Elements that do something of their own when clicked
+const activatableSelector =
+    'a[href], area[href], button, input, select, textarea, label, summary, [role="button"], [role="link"]';
+
+/**
+ * Get the ID of a point: `"mouse"` for the mouse, and the identifier of touch points and pointers.
+ *
+ * @private
+ * @param {Touch|PointerEvent|Object} point
+ * @param {boolean} isMouseGesture
+ * @returns {string|number}
+ */
+function getPointId(point, isMouseGesture) {
+    if (isMouseGesture) {
+        return "mouse";
+    }
+
+    return typeof point.identifier !== "undefined"
+        ? point.identifier
+        : point.pointerId;
+}
+
+/**
+ * Get the pressure and tilt of a point. Touch points only report a pressure (`force`) in some browsers, and mice
+ * without pointer events report neither - in which case they're treated like pointer events treat devices that can't
+ * tell: half the pressure while pressed, and no tilt.
+ *
+ * @private
+ * @param {Touch|PointerEvent|MouseEvent} point
+ * @returns {{pressure: number, tilt: {x: number, y: number}}}
+ */
+function getPointDetails(point) {
+    let pressure = 0.5;
+
+    if (typeof point.pressure === "number") {
+        pressure = point.pressure;
+    } else if (typeof point.force === "number" && point.force > 0) {
+        pressure = point.force;
+    }
+
+    return {
+        pressure,
+        tilt: {
+            x: point.tiltX || 0,
+            y: point.tiltY || 0
+        }
+    };
+}
+
 export class Gesture {
     /**
      * The constructor for setting up event listeners for gestures.
@@ -136,8 +222,10 @@ export class Gesture {
      * @param {HTMLElement|HTMLBodyElement|Element} element - The element to listen for gestures on.
      * @param {Object} [options={}] - Optional settings.
      * @param {number} [options.threshold=10] - The number of pixels to pass before executing callbacks and deciding swipe direction. A threshold can also be set on `onDrag` and `onPinch`, but this setting will always have first priority.
-     * @param {boolean} [options.triggerClicks=true] - Treat mouse and touch events (mouse button 0 and single point touch) as clicks, if the threshold wasn't passed.
+     * @param {boolean} [options.triggerClicks=true] - Treat mouse and touch events (mouse button 0 and single point touch) as clicks, if the threshold wasn't passed. With pointer events, links and buttons inside the element get the browser's own click instead.
      * @param {boolean} [options.preventContextMenu=true] - Whether or not to prevent the context menu from showing (activated by right click and/or long press).
+     * @param {number} [options.tapInterval=300] - The maximum time in ms between the taps of a double (or triple...) tap.
+     * @param {boolean} [options.usePointerEvents=true] - Use pointer events where the browser supports them, which adds pens as well as pressure and tilt. Otherwise (or if set to `false`) mouse and touch events are used.
      */
     constructor(element, options) {
         // Changeable settings
@@ -145,9 +233,15 @@ export class Gesture {
             threshold: 10,
             triggerClicks: true,
             preventContextMenu: true,
+            tapInterval: 300,
+            usePointerEvents: true,
             ...options
         };
 
+        this.usePointerEvents =
+            this.settings.usePointerEvents &&
+            typeof window.PointerEvent === "function";
+
         // Set default and startup values in data object for internal use and easy cleanup.
         this.resetToDataDefaults();
         this.data.target = {
@@ -156,18 +250,53 @@ export class Gesture {
         this.data.callbacks = {
             onDrag: {},
             onPinch: {},
-            onClick: []
+            onClick: [],
+            onTap: [],
+            onLongPress: []
         };
 
+        // The press that might turn out to be a tap or a long press, and the taps made so far
+        this.data.press = null;
+        this.data.tapSequence = null;
+
+        // Where the primary pointer was pressed, and whether the browser's own click should be cancelled
+        this.data.pressTarget = null;
+        this.data.isNativeClickCancelled = false;
+
+        // The pointers (other than the mouse) currently on the element, by ID - like the "targetTouches" of touch events
+        this.data.pointers = {};
+
         // Disable touch scrolling for target element
         this.data.target.element.style.touchAction = "none";
 
-        // Start listening for touch and mouse events
-        addEvent(
-            this.data.target.element,
-            "touchstart mousedown",
-            this.gestureStart
-        );
+        // Start listening for pointer events - or touch and mouse events
+        if (this.usePointerEvents) {
+            addEvent(
+                this.data.target.element,
+                "pointerdown",
+                this.gestureStart
+            );
+            addEvent(
+                this.data.target.element,
+                "pointerup pointercancel",
+                this.forgetPointer
+            );
+
+            // Cancelling "pointerdown" doesn't stop the browser's own click, so that's cancelled here instead - when the
+            // gesture has been dragged, or triggers the click itself. Has to be a native, capturing listener, to get
+            // there before the handlers on the element and its children.
+            this.data.target.element.addEventListener(
+                "click",
+                this.cancelNativeClick,
+                true
+            );
+        } else {
+            addEvent(
+                this.data.target.element,
+                "touchstart mousedown",
+                this.gestureStart
+            );
+        }
 
         // It"s a good idea to disable the context menu (activated by right click and/or long press)
         if (this.settings.preventContextMenu) {
@@ -509,6 +638,80 @@ export class Gesture {
         return this;
     }
 
+    /**
+     * Set callbacks to fire on a tap - or a number of taps in a row.
+     * Callbacks receive an object with the number of `taps`, the `position` of the last one and `isMouse`.
+     *
+     * @param {function|function[]} callbacks
+     * @param {Object} [options={}]
+     * @param {number} [options.taps=1] - The number of taps in a row.
+     * @param {boolean} [options.acceptMouse=true] - Accept mouse events (main button only) or not.
+     * @param {boolean} [options.acceptTouch=true] - Accept touch and pen events (single touch point only) or not.
+     * @returns {Gesture} The gesture object, for function chaining.
+     */
+    onTap(
+        callbacks,
+        { taps = 1, acceptMouse = true, acceptTouch = true } = {}
+    ) {
+        forEach(this.sanitizeCallbacks(callbacks), callback => {
+            this.data.callbacks.onTap.push({
+                callback,
+                taps: Math.max(1, taps),
+                acceptMouse,
+                acceptTouch
+            });
+        });
+
+        return this;
+    }
+
+    /**
+     * Set callbacks to fire on a double tap. Same as `onTap()` with `taps` set to 2.
+     *
+     * @param {function|function[]} callbacks
+     * @param {Object} [options={}]
+     * @param {boolean} [options.acceptMouse=true] - Accept mouse events (main button only) or not.
+     * @param {boolean} [options.acceptTouch=true] - Accept touch and pen events (single touch point only) or not.
+     * @returns {Gesture} The gesture object, for function chaining.
+     */
+    onDoubleTap(callbacks, options = {}) {
+        return this.onTap(callbacks, { ...options, taps: 2 });
+    }
+
+    /**
+     * Set callbacks to fire when the element is pressed and held.
+     * Callbacks receive an object with the `duration`, the current `position` and `isMouse`.
+     *
+     * @param {function|function[]} callbacks
+     * @param {Object} [options={}]
+     * @param {number} [options.duration=500] - The time in ms to hold before the callback gets fired.
+     * @param {number} [options.tolerance=10] - The amount of pixels the point may move while being held.
+     * @param {boolean} [options.acceptMouse=true] - Accept mouse events (main button only) or not.
+     * @param {boolean} [options.acceptTouch=true] - Accept touch and pen events (single touch point only) or not.
+     * @returns {Gesture} The gesture object, for function chaining.
+     */
+    onLongPress(
+        callbacks,
+        {
+            duration = 500,
+            tolerance = 10,
+            acceptMouse = true,
+            acceptTouch = true
+        } = {}
+    ) {
+        forEach(this.sanitizeCallbacks(callbacks), callback => {
+            this.data.callbacks.onLongPress.push({
+                callback,
+                duration,
+                tolerance,
+                acceptMouse,
+                acceptTouch
+            });
+        });
+
+        return this;
+    }
+
     /**
      * Remove callbacks for drag.
      *
@@ -533,6 +736,248 @@ export class Gesture {
         this.removeCallbacks("onPinch", callbacks, options);
     }
 
+    /**
+     * Remove callbacks for taps, including double taps.
+     *
+     * @param {function|function[]|null} [callbacks] - The callback(s) to remove. If none are specified, all will be removed.
+     */
+    removeOnTap(callbacks) {
+        this.removePressCallbacks("onTap", callbacks);
+    }
+
+    /**
+     * Remove callbacks for long presses.
+     *
+     * @param {function|function[]|null} [callbacks] - The callback(s) to remove. If none are specified, all will be removed.
+     */
+    removeOnLongPress(callbacks) {
+        this.removePressCallbacks("onLongPress", callbacks);
+    }
+
+    /**
+     * Remove callbacks for taps or long presses.
+     *
+     * @private
+     * @param {string} callbackName
+     * @param {function|function[]|null} [callbackList]
+     */
+    removePressCallbacks(callbackName, callbackList) {
+        if (this && this.data) {
+            const callbacksToRemove = this.sanitizeCallbacks(callbackList);
+
+            this.data.callbacks[callbackName] = callbackList
+                ? this.data.callbacks[callbackName].filter(
+                      funcRef => callbacksToRemove.indexOf(funcRef.callback) < 0
+                  )
+                : [];
+        }
+    }
+
+    /**
+     * Get the tap or long press callbacks that accept the given kind of input.
+     *
+     * @private
+     * @param {string} callbackName
+     * @param {boolean} isMouseGesture
+     * @returns {Object[]}
+     */
+    getPressCallbacks(callbackName, isMouseGesture) {
+        return this.data.callbacks[callbackName].filter(funcRef =>
+            isMouseGesture ? funcRef.acceptMouse : funcRef.acceptTouch
+        );
+    }
+
+    /**
+     * Start keeping track of a press, which might turn out to be a tap or a long press.
+     *
+     * @private
+     * @param {string|number} pointId - The identifier of the point in `this.data.points`.
+     * @param {{x: number, y: number}} position
+     * @param {boolean} isMouseGesture
+     */
+    startPress(pointId, position, isMouseGesture) {
+        this.cancelPress();
+
+        // Another tap is on its way, so wait for it before deciding how many taps there were
+        if (this.data.tapSequence) {
+            window.clearTimeout(this.data.tapSequence.timer);
+        }
+
+        const press = {
+            pointId,
+            start: position,
+            current: position,
+            distance: 0,
+            isMouse: isMouseGesture,
+            isMoved: false,
+            isLongPress: false,
+            timers: []
+        };
+
+        forEach(
+            this.getPressCallbacks("onLongPress", isMouseGesture),
+            funcRef => {
+                press.timers.push(
+                    window.setTimeout(() => {
+                        if (press.distance > funcRef.tolerance) {
+                            return;
+                        }
+
+                        // Letting go after a long press isn't a tap, but the taps before it still count
+                        if (!press.isLongPress) {
+                            press.isLongPress = true;
+                            this.resolveTaps();
+                        }
+
+                        funcRef.callback({
+                            duration: funcRef.duration,
+                            position: press.current,
+                            isMouse: isMouseGesture
+                        });
+                    }, funcRef.duration)
+                );
+            }
+        );
+
+        this.data.press = press;
+    }
+
+    /**
+     * Follow the point of the current press, with the data from `updatePoints()`.
+     *
+     * @private
+     * @param {{points: Object}} currentData
+     */
+    updatePress(currentData) {
+        const press = this.data.press;
+
+        if (
+            !press ||
+            typeof currentData.points[press.pointId] === "undefined"
+        ) {
+            return;
+        }
+
+        press.current = currentData.points[press.pointId];
+        press.distance = Math.max(
+            press.distance,
+            getDistance(press.start, press.current)
+        );
+
+        // Moving past the threshold makes it a drag, but the taps before it still count
+        if (
+            !press.isMoved &&
+            press.distance > 0 &&
+            press.distance >= this.settings.threshold
+        ) {
+            press.isMoved = true;
+            this.resolveTaps();
+        }
+    }
+
+    /**
+     * Stop keeping track of the current press, without counting it as a tap.
+     *
+     * @private
+     */
+    cancelPress() {
+        if (this.data.press) {
+            forEach(this.data.press.timers, timer =>
+                window.clearTimeout(timer)
+            );
+            this.data.press = null;
+        }
+    }
+
+    /**
+     * Count the current press as a tap, if it was one. If more taps in a row are listened for, wait for the next one -
+     * otherwise fire the callbacks right away.
+     *
+     * @private
+     */
+    endPress() {
+        const press = this.data.press;
+
+        if (!press) {
+            return;
+        }
+
+        this.cancelPress();
+
+        if (press.isMoved || press.isLongPress) {
+            return;
+        }
+
+        const tapCallbacks = this.getPressCallbacks("onTap", press.isMouse);
+        const maxTaps = Math.max(1, ...tapCallbacks.map(({ taps }) => taps));
+
+        // Switching between mouse and touch starts a new sequence
+        if (
+            this.data.tapSequence &&
+            this.data.tapSequence.isMouse !== press.isMouse
+        ) {
+            this.resolveTaps();
+        }
+
+        if (!this.data.tapSequence) {
+            this.data.tapSequence = {
+                taps: 0,
+                isMouse: press.isMouse,
+                timer: 0
+            };
+        }
+
+        const tapSequence = this.data.tapSequence;
+        tapSequence.taps += 1;
+        tapSequence.position = press.current;
+
+        if (tapSequence.taps >= maxTaps) {
+            this.resolveTaps();
+        } else {
+            tapSequence.timer = window.setTimeout(
+                () => this.resolveTaps(),
+                this.settings.tapInterval
+            );
+        }
+    }
+
+    /**
+     * Fire the callbacks for the number of taps made in a row - and a click, if it was just the one.
+     *
+     * @private
+     */
+    resolveTaps() {
+        const tapSequence = this.data.tapSequence;
+
+        if (!tapSequence) {
+            return;
+        }
+
+        window.clearTimeout(tapSequence.timer);
+        this.data.tapSequence = null;
+
+        if (!tapSequence.taps) {
+            return;
+        }
+
+        if (tapSequence.taps === 1) {
+            this.triggerClick();
+        }
+
+        forEach(
+            this.getPressCallbacks("onTap", tapSequence.isMouse),
+            funcRef => {
+                if (this.data && funcRef.taps === tapSequence.taps) {
+                    funcRef.callback({
+                        taps: tapSequence.taps,
+                        position: tapSequence.position,
+                        isMouse: tapSequence.isMouse
+                    });
+                }
+            }
+        );
+    }
+
     /**
      * Prevent default.
      *
@@ -547,13 +992,62 @@ export class Gesture {
         }
     }
 
+    /**
+     * Check whether the given element is a link, button or the like inside the target element, which should handle
+     * its own clicks.
+     *
+     * @private
+     * @param {Element} element
+     * @returns {boolean}
+     */
+    isActivatableDescendant(element) {
+        const targetElement = this.data.target.element;
+        const activatableElement =
+            element && element.closest
+                ? element.closest(activatableSelector)
+                : null;
+
+        return (
+            !!activatableElement &&
+            activatableElement !== targetElement &&
+            targetElement.contains(activatableElement)
+        );
+    }
+
+    /**
+     * Cancel the click the browser fires after a pointer is released, if the gesture was dragged or triggers the click
+     * itself. Clicks triggered by code or the keyboard (which have no click count) are left alone.
+     *
+     * @private
+     * @param {MouseEvent} event
+     */
+    cancelNativeClick = event => {
+        if (
+            this.data &&
+            this.data.isNativeClickCancelled &&
+            event.isTrusted &&
+            event.detail > 0
+        ) {
+            this.data.isNativeClickCancelled = false;
+            event.preventDefault();
+            event.stopImmediatePropagation();
+        }
+    };
+
     /**
      * Trigger a click on the target element
      *
      * @private
      */
     triggerClick = () => {
-        if (this.settings.triggerClicks) {
+        // Links and buttons pressed through pointer events get the browser's own click instead
+        if (
+            this.settings.triggerClicks &&
+            !(
+                this.usePointerEvents &&
+                this.isActivatableDescendant(this.data.pressTarget)
+            )
+        ) {
             this.data.target.element.click();
         }
 
@@ -566,7 +1060,7 @@ export class Gesture {
         if (this.data) {
             removeEvent(
                 this.data.target.element,
-                `touchend mouseup`,
+                clickEvents,
                 this.triggerClick
             );
         }
@@ -588,9 +1082,14 @@ export class Gesture {
         };
 
         forEach(points, point => {
-            const id = isMouseGesture ? "mouse" : point.identifier;
+            const id = getPointId(point, isMouseGesture);
 
             if (typeof this.data.points[id] !== "undefined") {
+                // Points calculated when applying velocity only have a position
+                if (typeof point.clientX === "number") {
+                    Object.assign(this.data.points[id], getPointDetails(point));
+                }
+
                 const position = {
                     x: point.clientX || point.x,
                     y: point.clientY || point.y
@@ -631,8 +1130,8 @@ export class Gesture {
 
         // First run of apply velocity
         if (!this.data.pointsVelocity.lastUpdate) {
-            removeEvent(document, "touchmove mousemove", this.gestureUpdate);
-            removeEvent(document, "touchend mouseup", this.gestureEnd);
+            removeEvent(document, moveEvents, this.gestureUpdate);
+            removeEvent(document, endEvents, this.gestureEnd);
 
             this.data.active = false;
             this.data.readyForNextUpdate = true;
@@ -764,7 +1263,12 @@ export class Gesture {
                                 y: 0
                             }
                         },
-                        rotation: {}
+                        rotation: {},
+                        pressure: 0,
+                        tilt: {
+                            x: 0,
+                            y: 0
+                        }
                     };
 
                     forEach(this.data.points, point => {
@@ -778,6 +1282,10 @@ export class Gesture {
                         callbackData.position.current.y += current.y;
                         callbackData.position.difference.x += difference.x;
                         callbackData.position.difference.y += difference.y;
+                        callbackData.pressure += point.pressure;
+                        callbackData.tilt.x += point.tilt.x;
+                        callbackData.tilt.y += point.tilt.y;
+                        callbackData.pointerType = point.type;
                     });
 
                     const touchPoints = Object.keys(this.data.points).length;
@@ -795,6 +1303,9 @@ export class Gesture {
                         callbackData.position.difference.x / touchPoints;
                     callbackData.position.difference.y =
                         callbackData.position.difference.y / touchPoints;
+                    callbackData.pressure = callbackData.pressure / touchPoints;
+                    callbackData.tilt.x = callbackData.tilt.x / touchPoints;
+                    callbackData.tilt.y = callbackData.tilt.y / touchPoints;
                     callbackData.position.distance = getDistance(
                         callbackData.position.start,
                         callbackData.position.current
@@ -905,9 +1416,12 @@ export class Gesture {
                         ) {
                             removeEvent(
                                 this.data.target.element,
-                                "touchend mouseup",
+                                clickEvents,
                                 this.triggerClick
                             );
+
+                            // A drag isn't a click - not even to a link or button inside the element
+                            this.data.isNativeClickCancelled = true;
                         }
 
                         // Fire callbacks for drag
@@ -980,25 +1494,106 @@ export class Gesture {
     }
 
     /**
-     * Handle "mousedown" and "touchstart" events.
+     * Get the points of a gesture event: the mouse, the touch points on the element, or the pointers on the element.
+     *
+     * @private
+     * @param {MouseEvent|TouchEvent|PointerEvent} event
+     * @param {boolean} isMouseGesture
+     * @returns {Array|TouchList}
+     */
+    getEventPoints(event, isMouseGesture) {
+        if (isMouseGesture) {
+            return [event];
+        }
+
+        if (typeof event.pointerId !== "undefined") {
+            return Object.keys(this.data.pointers).map(
+                id => this.data.pointers[id]
+            );
+        }
+
+        return event.targetTouches;
+    }
+
+    /**
+     * Check whether an event comes from a mouse.
      *
      * @private
-     * @param {MouseEvent|TouchEvent} event
+     * @param {MouseEvent|TouchEvent|PointerEvent} event
+     * @returns {boolean}
+     */
+    isMouseEvent(event) {
+        return typeof event.pointerType !== "undefined"
+            ? event.pointerType === "mouse"
+            : event.type.indexOf("mouse") === 0;
+    }
+
+    /**
+     * Handle "pointerup" and "pointercancel" events on the element, to keep track of the pointers on it.
+     * Touch and pen pointers are captured by the element they start on, so these always end up here.
+     *
+     * @private
+     * @param {PointerEvent} event
+     */
+    forgetPointer = event => {
+        if (this.data) {
+            delete this.data.pointers[event.pointerId];
+
+            // The browser took over (ie. to scroll or zoom), so it isn't a click
+            if (event.type === "pointercancel") {
+                removeEvent(
+                    this.data.target.element,
+                    clickEvents,
+                    this.triggerClick
+                );
+            }
+        }
+    };
+
+    /**
+     * Handle "pointerdown", "mousedown" and "touchstart" events.
+     *
+     * @private
+     * @param {MouseEvent|TouchEvent|PointerEvent} event
      */
     gestureStart = event => {
         this.preventDefault(event);
 
         // Get basic gesture data
-        const isMouseGesture = event.type === "mousedown";
+        const isPointerEvent = typeof event.pointerId !== "undefined";
+        const isMouseGesture = this.isMouseEvent(event);
         const mouseButton = isMouseGesture ? event.button : undefined;
-        const gesturePointCount = isMouseGesture
-            ? 1
-            : event.targetTouches.length;
+
+        if (isPointerEvent && !isMouseGesture) {
+            this.data.pointers[event.pointerId] = event;
+        }
+
+        const eventPoints = this.getEventPoints(event, isMouseGesture);
+        const gesturePointCount = eventPoints.length;
+        const isTapCandidate =
+            (isMouseGesture && mouseButton === 0) ||
+            (!isMouseGesture && gesturePointCount === 1);
+        const hasPressCallbacks =
+            this.getPressCallbacks("onTap", isMouseGesture).length > 0 ||
+            this.getPressCallbacks("onLongPress", isMouseGesture).length > 0;
+
+        // The browser only clicks for the primary pointer, so that's the press that decides what happens to the click
+        if (isPointerEvent && event.isPrimary) {
+            this.data.pressTarget = event.target;
+            this.data.isNativeClickCancelled = false;
+        }
+
+        // The gesture triggers the click itself (see below), unless it's on a link or button inside the element
+        const isClickTriggeredByGesture =
+            isPointerEvent &&
+            this.settings.triggerClicks &&
+            isTapCandidate &&
+            !this.isActivatableDescendant(event.target);
 
         // Set start data
         const points = {};
-        forEach(isMouseGesture ? [event] : event.targetTouches, point => {
-            const id = isMouseGesture ? "mouse" : point.identifier;
+        forEach(eventPoints, point => {
+            const id = getPointId(point, isMouseGesture);
 
             if (typeof points[id] === "undefined") {
                 const position = {
@@ -1012,8 +1607,11 @@ export class Gesture {
                         current: position,
                         difference: { x: 0, y: 0 }
                     },
-                    type: isMouseGesture ? "mouse" : "touch",
-                    button: mouseButton
+                    type: isMouseGesture
+                        ? "mouse"
+                        : point.pointerType || "touch",
+                    button: mouseButton,
+                    ...getPointDetails(point)
                 };
             }
         });
@@ -1043,18 +1641,39 @@ export class Gesture {
                 ? 0
                 : this.data.callbacks.onPinch[gesturePointCount].length;
 
-        // Start listening for more touch and mouse events - if we don't already
+        // Taps and long presses need to follow the point as well, to tell them from drags
+        if (hasPressCallbacks) {
+            foundCallbacks += 1;
+        }
+
+        // Start listening for more pointer, touch and mouse events - if we don't already
         if (foundCallbacks) {
-            addEvent(
-                document,
-                `touchmove ${isMouseGesture ? "mousemove" : ""}`,
-                this.gestureUpdate
-            );
-            addEvent(
-                document,
-                `touchend ${isMouseGesture ? "mouseup" : ""}`,
-                this.gestureEnd
-            );
+            if (isPointerEvent) {
+                addEvent(document, "pointermove", this.gestureUpdate);
+                addEvent(document, "pointerup pointercancel", this.gestureEnd);
+
+                // Keep getting the events of the pointer, even when it leaves the element
+                if (this.data.target.element.setPointerCapture) {
+                    try {
+                        this.data.target.element.setPointerCapture(
+                            event.pointerId
+                        );
+                    } catch (error) {
+                        // The pointer is already gone
+                    }
+                }
+            } else {
+                addEvent(
+                    document,
+                    `touchmove ${isMouseGesture ? "mousemove" : ""}`,
+                    this.gestureUpdate
+                );
+                addEvent(
+                    document,
+                    `touchend touchcancel ${isMouseGesture ? "mouseup" : ""}`,
+                    this.gestureEnd
+                );
+            }
 
             // Reset data, which will also cancel any velocity in progress
             this.resetToDataDefaults();
@@ -1083,39 +1702,68 @@ export class Gesture {
             this.gestureUpdateHandler();
         }
 
+        // Clicks are left to the tap recognition, when it's in use, so they don't fire on double taps
+        if (hasPressCallbacks) {
+            if (isTapCandidate) {
+                const pointId = Object.keys(points)[0];
+                this.data.isNativeClickCancelled = isClickTriggeredByGesture;
+                this.startPress(
+                    pointId,
+                    points[pointId].position.start,
+                    isMouseGesture
+                );
+            } else {
+                // More fingers (or another mouse button) make it something else than a tap
+                this.cancelPress();
+                this.resolveTaps();
+            }
+        }
+
         // Set event listener for "mouseup" and "touchend" in case the current gesture is just a click
-        if (
+        else if (
             (this.settings.triggerClicks ||
                 this.data.callbacks.onClick.length) &&
             ((isMouseGesture && mouseButton === 0) ||
                 (!isMouseGesture && gesturePointCount === 1))
         ) {
+            this.data.isNativeClickCancelled = isClickTriggeredByGesture;
             addEvent(
                 this.data.target.element,
-                `touchend ${isMouseGesture ? "mouseup" : ""}`,
+                isPointerEvent
+                    ? "pointerup"
+                    : `touchend ${isMouseGesture ? "mouseup" : ""}`,
                 this.triggerClick
             );
         }
     };
 
     /**
-     * Handle "mousemove" and "touchmove" events.
+     * Handle "pointermove", "mousemove" and "touchmove" events.
      *
      * @private
-     * @param {MouseEvent|TouchEvent} event
+     * @param {MouseEvent|TouchEvent|PointerEvent} event
      */
     gestureUpdate = event => {
         this.preventDefault(event);
 
         // Get basic gesture data
-        const isMouseGesture = event.type === "mousemove";
+        const isMouseGesture = this.isMouseEvent(event);
+
+        if (
+            !isMouseGesture &&
+            typeof this.data.pointers[event.pointerId] !== "undefined"
+        ) {
+            this.data.pointers[event.pointerId] = event;
+        }
 
         // Set current data
         const currentData = this.updatePoints(
             isMouseGesture,
-            isMouseGesture ? [event] : event.targetTouches
+            this.getEventPoints(event, isMouseGesture)
         );
 
+        this.updatePress(currentData);
+
         if (
             currentData.pointsCount &&
             (currentData.time - this.data.pointsHistory.lastUpdate >= 20 ||
@@ -1130,30 +1778,53 @@ export class Gesture {
     };
 
     /**
-     * Handle "mouseup" and "touchend" events.
+     * Handle "pointerup", "pointercancel", "mouseup", "touchend" and "touchcancel" events.
      *
      * @private
-     * @param {MouseEvent|TouchEvent} event
+     * @param {MouseEvent|TouchEvent|PointerEvent} event
      */
     gestureEnd = event => {
         this.preventDefault(event);
 
-        let endEvent = event.type === "mouseup";
+        const isMouseGesture = this.isMouseEvent(event);
+        const isCancelled =
+            event.type === "pointercancel" || event.type === "touchcancel";
+        let endEvent = isMouseGesture;
 
         if (!endEvent) {
-            forEach(event.changedTouches, point => {
-                if (typeof this.data.points[point.identifier] !== "undefined") {
-                    endEvent = true;
+            forEach(
+                typeof event.pointerId !== "undefined"
+                    ? [event]
+                    : event.changedTouches,
+                point => {
+                    if (
+                        typeof this.data.points[getPointId(point, false)] !==
+                        "undefined"
+                    ) {
+                        endEvent = true;
+                    }
                 }
-            });
+            );
         }
 
         if (endEvent) {
-            removeEvent(document, "touchmove mousemove", this.gestureUpdate);
-            removeEvent(document, "touchend mouseup", this.gestureEnd);
+            removeEvent(document, moveEvents, this.gestureUpdate);
+            removeEvent(document, endEvents, this.gestureEnd);
 
             this.data.active = false;
             this.data.readyForNextUpdate = false;
+
+            // The browser took over (ie. to scroll or zoom), so it's neither a tap nor a click
+            if (isCancelled) {
+                this.cancelPress();
+                removeEvent(
+                    this.data.target.element,
+                    clickEvents,
+                    this.triggerClick
+                );
+            } else {
+                this.endPress();
+            }
         }
     };
 
@@ -1201,16 +1872,36 @@ export class Gesture {
         if (this.data) {
             removeEvent(
                 this.data.target.element,
-                "touchstart mousedown",
+                "touchstart mousedown pointerdown",
                 this.gestureStart
             );
+            removeEvent(
+                this.data.target.element,
+                "pointerup pointercancel",
+                this.forgetPointer
+            );
+            this.data.target.element.removeEventListener(
+                "click",
+                this.cancelNativeClick,
+                true
+            );
+            removeEvent(
+                this.data.target.element,
+                clickEvents,
+                this.triggerClick
+            );
             removeEvent(
                 this.data.target.element,
                 "contextmenu",
                 this.preventDefault
             );
-            removeEvent(document, "touchmove mousemove", this.gestureUpdate);
-            removeEvent(document, "touchend mouseup", this.gestureEnd);
+            removeEvent(document, moveEvents, this.gestureUpdate);
+            removeEvent(document, endEvents, this.gestureEnd);
+
+            this.cancelPress();
+            if (this.data.tapSequence) {
+                window.clearTimeout(this.data.tapSequence.timer);
+            }
 
             delete this.data;
             delete this.settings;
@@ -0,0 +1,222 @@
+/**
+ * A **publish/subscribe message bus** for modules that need to talk to each other - vanilla modules started by the
+ * `bootstrapper` as well as React islands started by the `reactBootstrapper`.
+ *
+ * Topics are namespaced with dots, ie. `"cart.item.added"`. When subscribing, `*` matches exactly one part of a
+ * topic, and `**` matches any number of parts, so `"cart.*.added"` and `"cart.**"` both match `"cart.item.added"`.
+ *
+ * The last value published on each topic is kept, so subscribers that show up late can ask to have it replayed
+ * right away instead of waiting for the next publish.
+ *
+ * Subscriptions made with an `owner` element are removed automatically when the bootstrapper's destroy event
+ * (see `destroyEventName` in `utils/events/eventNames`) is fired on that element.
+ *
+ * @module utils/events/messageBus
+ *
+ * @example <caption>Publish and subscribe:</caption>
+ * import { publish, subscribe } from "./utils/events/messageBus";
+ *
+ * const unsubscribe = subscribe("cart.item.added", (item, topic) => window.console.log(item));
+ * publish("cart.item.added", { sku: "1234", quantity: 1 });
+ *
+ * // When you're done:
+ * unsubscribe();
+ *
+ *
+ * @example <caption>Inside a bootstrapped module, get the last known value and clean up automatically on destroy:</caption>
+ * import { subscribe } from "./utils/events/messageBus";
+ *
+ * export class MiniCart {
+ *     constructor(element) {
+ *         subscribe("cart.**", this.update, { owner: element, replay: true });
+ *     }
+ *
+ *     update = (data, topic) => { ... };
+ * }
+ *
+ *
+ * @example <caption>Use a namespace, so you don't have to repeat yourself:</caption>
+ * import { createNamespace } from "./utils/events/messageBus";
+ *
+ * const cart = createNamespace("cart");
+ * cart.subscribe("item.*", data => { ... }); // Subscribes to "cart.item.*"
+ * cart.publish("item.removed", { sku: "1234" }); // Publishes on "cart.item.removed"
+ */
+
+import { forEach } from "../forEach";
+import { filter } from "../filter";
+import { destroyEventName } from "./eventNames";
+
+/**
+ * @typedef {object} Subscription
+ * @private
+ * @property {string} pattern - The topic (possibly containing wildcards) subscribed to.
+ * @property {function} callback
+ */
+
+/**
+ * Every active subscription.
+ *
+ * @private
+ * @type {Subscription[]}
+ */
+let subscriptions = [];
+
+/**
+ * The last value published on each topic.
+ *
+ * @private
+ * @type {Map<string, *>}
+ */
+const retainedValues = new Map();
+
+/**
+ * Find out whether or not a topic matches a subscription pattern.
+ *
+ * @private
+ * @param {string} pattern - The pattern, ie. `"cart.*.added"`.
+ * @param {string} topic - The topic, ie. `"cart.item.added"`.
+ * @returns {boolean}
+ */
+function topicMatches(pattern, topic) {
+    const patternParts = pattern.split(".");
+    const topicParts = topic.split(".");
+
+    function matchFrom(patternIndex, topicIndex) {
+        if (patternIndex === patternParts.length) {
+            return topicIndex === topicParts.length;
+        }
+
+        const patternPart = patternParts[patternIndex];
+
+        // "**" can swallow any number of parts, including none at all.
+        if (patternPart === "**") {
+            return (
+                matchFrom(patternIndex + 1, topicIndex) ||
+                (topicIndex < topicParts.length &&
+                    matchFrom(patternIndex, topicIndex + 1))
+            );
+        }
+
+        return (
+            topicIndex < topicParts.length &&
+            (patternPart === "*" || patternPart === topicParts[topicIndex]) &&
+            matchFrom(patternIndex + 1, topicIndex + 1)
+        );
+    }
+
+    return matchFrom(0, 0);
+}
+
+/**
+ * Run a subscriber callback, making sure one broken subscriber doesn't stop the rest from getting the message.
+ *
+ * @private
+ * @param {function} callback
+ * @param {*} data
+ * @param {string} topic
+ */
+function runCallback(callback, data, topic) {
+    try {
+        callback(data, topic);
+    } catch (error) {
+        window.console.error(
+            `A subscriber to '${topic}' threw an error:`,
+            error
+        );
+    }
+}
+
+/**
+ * Publish a message on a topic. Every subscriber whose pattern matches the topic is called with the data.
+ *
+ * @param {string} topic - The topic to publish on, ie. `"cart.item.added"`. Wildcards are not allowed here.
+ * @param {*} [data] - The data to send along.
+ */
+export function publish(topic, data) {
+    if (/(^|\.)\*{1,2}(\.|$)/.test(topic)) {
+        throw new Error(
+            `Cannot publish on '${topic}' - wildcards are only allowed when subscribing.`
+        );
+    }
+
+    retainedValues.set(topic, data);
+
+    // Copy the list, so subscribers can unsubscribe (or subscribe) while we're looping.
+    forEach(subscriptions.slice(), subscription => {
+        if (topicMatches(subscription.pattern, topic)) {
+            runCallback(subscription.callback, data, topic);
+        }
+    });
+}
+
+/**
+ * Subscribe to a topic.
+ *
+ * @param {string} pattern - The topic to subscribe to. May contain `*` and `**` wildcards.
+ * @param {function} callback - Called with `(data, topic)` every time a matching message is published.
+ * @param {object} [options={}]
+ * @param {boolean} [options.replay=false] - Call the callback right away with the last value published on every matching topic, if any.
+ * @param {HTMLElement|Element} [options.owner] - Remove the subscription when the bootstrapper's destroy event is fired on this element.
+ * @returns {function} A function that removes the subscription again.
+ */
+export function subscribe(pattern, callback, { replay = false, owner } = {}) {
+    const subscription = { pattern, callback };
+    let destroyHandler;
+
+    subscriptions.push(subscription);
+
+    const unsubscribe = () => {
+        subscriptions = filter(subscriptions, entry => entry !== subscription);
+
+        if (owner) {
+            owner.removeEventListener(destroyEventName, destroyHandler);
+        }
+    };
+
+    if (owner) {
+        destroyHandler = event => {
+            // Destroy events from nested modules might bubble up here - they're none of our business.
+            if (event.target === owner) {
+                unsubscribe();
+            }
+        };
+
+        owner.addEventListener(destroyEventName, destroyHandler);
+    }
+
+    if (replay) {
+        retainedValues.forEach((data, topic) => {
+            if (topicMatches(pattern, topic)) {
+                runCallback(callback, data, topic);
+            }
+        });
+    }
+
+    return unsubscribe;
+}
+
+/**
+ * Get the last value published on a topic.
+ *
+ * @param {string} topic - The topic, ie. `"cart.item.added"`.
+ * @returns {*} The last value published, or `undefined` if nothing has been published on the topic yet.
+ */
+export function getLastValue(topic) {
+    return retainedValues.get(topic);
+}
+
+/**
+ * Create a set of `publish()`/`subscribe()` functions that automatically prefix every topic with a namespace.
+ *
+ * @param {string} namespace - The namespace, ie. `"cart"`.
+ * @returns {{publish: function, subscribe: function, getLastValue: function}}
+ */
+export function createNamespace(namespace) {
+    return {
+        publish: (topic, data) => publish(`${namespace}.${topic}`, data),
+        subscribe: (pattern, callback, options) =>
+            subscribe(`${namespace}.${pattern}`, callback, options),
+        getLastValue: topic => getLastValue(`${namespace}.${topic}`)
+    };
+}
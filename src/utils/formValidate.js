@@ -9,6 +9,11 @@
  * If the browser is offline, the input field values are saved to localStorage.
  * Set the `saveDataWhenOffline` boolean to `false` to turn it off.
  *
+ * Set `offlineQueue` to queue the submission itself instead. It's then stored in IndexedDB, and sent to the form's
+ * `action` as soon as the browser is back online (see `utils/network/submissionQueue`).
+ *
+ * For forms rendered by React, use `utils/react/formValidate` instead. It uses the same rules and messages.
+ *
  * @module utils/FormValidate
  * @since 3.6.3
  * @author Bjarni Olsen <bjarni.olsen@akqa.com>
@@ -71,8 +76,8 @@
  *     required
  *     type="password"
  *     name="thePassword"
- *     data-error-message="Please fill out this field."
- *     data-requirements-message="Please include at least 8 characters and at least 1 uppercase character, 1 lowercase character, 1 number and 1 special character." />
+ *     data-error-message="Please fill out this field." />
+ * <!-- The requirements message of password fields is generated from the "password" option, unless you set one yourself. -->
  *
  * <!-- should match: -->
  * <input
@@ -83,6 +88,207 @@
  *     data-error-message="Please fill out this field."
  *     data-requirements-message="The two passwords should match." />
  *
+ *
+ * @example <caption>Step mode:
+ *
+ * Set the `steps` option, and every top-level fieldset becomes a step. Only one step is shown at a time, and the fields
+ * in it must be valid before moving on to the next one. Going back is always allowed, and keeps the values.
+ * The current step is kept in the URL (`?step=2`), so a reload stays on the same step - as long as the steps before it are valid.
+ * Submitting validates every step, shows the first one with an error, and hands all fields over to `onSubmit`.
+ * </caption>
+ * {@lang html}
+ * <form class="form-validate" id="signup">
+ *     <fieldset>
+ *         <legend>Who are you?</legend>
+ *         <input required name="name" />
+ *         <button type="button" data-step-next>Next</button>
+ *     </fieldset>
+ *     <fieldset>
+ *         <legend>How do we reach you?</legend>
+ *         <input required type="email" name="email" />
+ *         <button type="button" data-step-previous>Back</button>
+ *         <button type="submit">Sign up</button>
+ *     </fieldset>
+ * </form>
+ *
+ * <script>
+ *     new FormValidate(document.getElementById("signup"), { steps: true, onSubmit: fields => { ... } });
+ * </script>
+ *
+ *
+ * @example <caption>Conditional fields:
+ *
+ * Use `data-show-if` to only show a field (or an element containing fields) when a condition is met, and
+ * `data-required-if` to only require a field when it is. A condition is the name of another field, which must be
+ * checked or filled out - optionally followed by `=` or `!=` and one or more values separated by `|`.
+ * Hidden fields are disabled, so they are neither validated nor submitted.
+ * </caption>
+ * {@lang html}
+ * <input type="checkbox" name="company" id="company" />
+ * <label for="company">I'm buying on behalf of a company</label>
+ *
+ * <div data-show-if="company">
+ *     <label for="vat">VAT number</label>
+ *     <input required name="vat" id="vat" />
+ * </div>
+ *
+ * <select name="country">...</select>
+ * <input name="postcode" data-required-if="country=DK|SE|NO" />
+ * <input name="region" data-show-if="country!=DK" />
+ *
+ *
+ * @example <caption>Unsaved changes:
+ *
+ * The form keeps track of which fields have been changed since it was loaded (or last submitted), and gives them
+ * `classNames.dirtyField`. With `autosave` set, a draft is saved to LocalStorage while the user edits the form, and
+ * restored on the next visit. `reset()` puts every field back the way it was, and removes the draft.
+ * </caption>
+ * {@lang js}
+ * const form = new FormValidate(formElement, {
+ *     autosave: true,
+ *     warnOnUnsavedChanges: true,
+ *     onDirtyChange: isDirty => saveButton.toggleAttribute("disabled", !isDirty)
+ * });
+ *
+ * cancelButton.addEventListener("click", () => form.reset());
+ *
+ *
+ * @example <caption>Error summary:
+ *
+ * With `errorSummary` set, a failed submit lists every error at the top of the form, with links to the fields, and
+ * moves focus to the list. Without it, the number of errors is announced to screen readers instead, and focus moves to
+ * the first invalid field. Errors found when leaving a field are announced as well, unless `announceErrors` is `false`.
+ * Use `data-error-label` on a field to control what it's called in the summary - it defaults to the text of its label.
+ * </caption>
+ * {@lang js}
+ * void new FormValidate(formElement, {
+ *     errorSummary: true,
+ *     errorSummaryHeading: count => `Please fix ${count} thing(s) before continuing`
+ * });
+ *
+ *
+ * @example <caption>Localised messages:
+ *
+ * The default messages come from the message catalogue in `utils/i18n/messages`, so they follow the locale set with
+ * `setLocale()` - or the `locale` option, for a single form. Messages given in `data-*-message` attributes always win.
+ * </caption>
+ * {@lang js}
+ * import { registerLocale } from "./utils/i18n/messages";
+ * import { da } from "./utils/i18n/locales/da";
+ *
+ * registerLocale("da", da);
+ * void new FormValidate(formElement, { locale: "da" });
+ *
+ *
+ * @example <caption>Named validators:
+ *
+ * Add one or more validators to the `data-validate` attribute, separated by spaces. Validators that compare the
+ * field to another field take the name of that field as an argument, after a colon.
+ *
+ * Built-in validators are `cpr`, `date`, `date-past`, `date-future`, `date-after:otherField`, `date-before:otherField`
+ * and `matches:otherField` (which is what `data-confirms` uses). Empty fields are left to the `required` attribute.
+ *
+ * Every validator has its own error message, which can be overridden with `data-requirements-message`, or for a
+ * single validator with `data-[name]-message` (ie. `data-date-after-message`).
+ * </caption>
+ * {@lang html}
+ * <input name="cpr" required data-validate="cpr" />
+ * <input type="date" name="startDate" required data-validate="date-future" />
+ * <input
+ *     type="date"
+ *     name="endDate"
+ *     required
+ *     data-validate="date-future date-after:startDate"
+ *     data-date-after-message="The return date must be after the departure date." />
+ *
+ *
+ * @example <caption>Registering your own validators:</caption>
+ * {@lang js}
+ * import { registerValidator } from "./utils/formValidate";
+ *
+ * registerValidator(
+ *     "phone",
+ *     value => /^(\+45)?\s*(\d{2}\s*){4}$/.test(value),
+ *     "Please enter a Danish phone number."
+ * );
+ *
+ * // Validators get the argument given after the colon (ie. `data-validate="min-words:3"`), and the form.
+ * registerValidator(
+ *     "min-words",
+ *     (value, field, { argument }) => value.trim().split(/\s+/).length >= Number(argument),
+ *     (field, argument) => `Please write at least ${argument} words.`
+ * );
+ *
+ *
+ * @example <caption>Asynchronous validation:
+ *
+ * Register a named async validator, and add its name to the `data-validate-async` attribute of the fields that should use it.
+ * Async validators run (debounced) when the field is left and only once the synchronous checks pass. Submitting the form
+ * waits for any pending validation. Stale requests are aborted through the `signal` given to the validator.
+ *
+ * The validator resolves with `true` (or nothing) if the value is valid, or with an error message if it's not.
+ * Resolving with `false` shows the field's `data-requirements-message`. If it rejects (ie. because the network is down),
+ * the form isn't sent - the error is handled like a failed submission (see `onSubmitError`).
+ * </caption>
+ * {@lang js}
+ * import { FormValidate, registerAsyncValidator } from "./utils/formValidate";
+ *
+ * registerAsyncValidator("usernameAvailable", (value, field, { signal }) =>
+ *     fetch(`/api/username-available?username=${encodeURIComponent(value)}`, { signal })
+ *         .then(response => response.json())
+ *         .then(({ available }) => available || "That username is already taken.")
+ * );
+ *
+ * // <input required name="username" data-validate-async="usernameAvailable" />
+ *
+ *
+ * @example <caption>File uploads:
+ *
+ * File inputs are checked against their `accept` attribute, `data-max-size` (per file, ie. `"5MB"`) and
+ * `data-max-files` (inputs without `multiple` take a single file). Images can be limited with `data-min-width`,
+ * `data-max-width`, `data-min-height` and `data-max-height` - those are checked asynchronously, as the images must be loaded.
+ *
+ * Files dropped on an element with `data-file-dropzone` are put in the file input inside it (or the one matching the
+ * attribute's value), and validated the same way. The drop zone gets `classNames.dropzoneActive` while files are dragged over it.
+ *
+ * Set `upload` to have the form sent for you, with the progress of every file passed to `onUploadProgress`.
+ * </caption>
+ * {@lang html}
+ * <div data-file-dropzone>
+ *     <label for="photos">Drop your photos here, or choose them</label>
+ *     <input
+ *         type="file"
+ *         name="photos"
+ *         id="photos"
+ *         multiple
+ *         accept="image/jpeg, image/png"
+ *         data-max-size="5MB"
+ *         data-max-files="3"
+ *         data-min-width="800" />
+ * </div>
+ *
+ * <script>
+ *     new FormValidate(formElement, {
+ *         upload: true,
+ *         onUploadProgress: files => files.forEach(({ file, loaded, total }) => { ... }),
+ *         onSubmit: (fields, request) => { ... }
+ *     });
+ * </script>
+ *
+ *
+ * @example <caption>Server-side errors:
+ *
+ * If `onSubmit` returns a promise that rejects with an object with `fieldErrors` (a map of field names and error messages),
+ * the errors are shown on the fields. You can also call `showFieldErrors()` yourself.
+ * </caption>
+ * {@lang js}
+ * void new FormValidate(formElement, {
+ *     onSubmit: fields =>
+ *         fetch("/api/signup", { method: "POST", body: new FormData(formElement) })
+ *             .then(response => response.ok ? response : response.json().then(body => {
+ *                 throw { fieldErrors: body.errors }; // ie. { username: "That username is already taken." }
+ *             }))
+ * });
  */
 
 import { onReady } from "./events/onReady";
@@ -92,14 +298,64 @@ import { forEach } from "./forEach";
 import { scrollTo } from "./dom/scrollTo";
 import { createElement } from "./dom/createElement";
 import { emailRegex } from "./patternMatching/email";
-import { passwordRegex } from "./patternMatching/password";
+import {
+    passwordRegex,
+    passwordRequirements
+} from "./patternMatching/password";
+import { getMessage } from "./i18n/messages";
 import { setInputPattern } from "./dom/setInputPattern";
+import { splitter } from "./splitter";
+import { filter } from "./filter";
+import { isCprValid } from "./patternMatching/cprNumber";
+import { isDateValid } from "./patternMatching/date";
+import { uploadForm } from "./network/uploadForm";
+import {
+    formatFileSize,
+    getImageDimensions,
+    isFileTypeAccepted,
+    parseFileSize
+} from "./patternMatching/file";
+import { getFirstInteractiveElementInContainer } from "./dom/accessibility";
+import {
+    flushSubmissionQueueWhenOnline,
+    isSubmissionQueueSupported,
+    queueSubmission
+} from "./network/submissionQueue";
+import { FormSteps } from "./forms/formSteps";
+import {
+    isDisabledByCondition,
+    updateConditionalFields
+} from "./forms/conditionalFields";
+import { FileDropzone } from "./forms/fileDropzone";
+import { DirtyState } from "./forms/dirtyState";
 
 /**
  * Callback for when the valid form is submitted.
  *
  * @callback onSubmit
  * @param {NodeList} fields - The validated fields in the form.
+ * @param {XMLHttpRequest} [request] - The finished request, if the form was sent with the `upload` option.
+ * @returns {Promise|*} If a promise is returned, and it rejects with `{ fieldErrors }`, those errors are shown on the fields.
+ */
+
+/**
+ * Validator function.
+ *
+ * @callback validator
+ * @param {string} value - The value of the field. Empty values are never validated.
+ * @param {HTMLElement} field - The field itself.
+ * @param {{argument: string|undefined, form: HTMLFormElement}} options - The argument given after the colon in `data-validate`, and the form the field is in.
+ * @returns {boolean} `true` if valid.
+ */
+
+/**
+ * Asynchronous validator.
+ *
+ * @callback asyncValidator
+ * @param {string} value - The value of the field.
+ * @param {HTMLElement} field - The field itself.
+ * @param {{signal: AbortSignal, locale: string}} options - The signal is aborted if the result isn't needed anymore. Pass it along to `fetch()`. The locale is the one of the form, for the messages.
+ * @returns {Promise<boolean|string|undefined>} `true` or `undefined` if valid, and an error message (or `false`) if not.
  */
 
 /**
@@ -108,16 +364,38 @@ import { setInputPattern } from "./dom/setInputPattern";
  * @typedef {object} FormValidateOptionsObject
  * @property {function} [beforeSubmit] - Optional callback to fire before the form is validated on submit.
  * @property {onSubmit} [onSubmit] - Optional callback to fire after the valid form is submitted.
+ * @property {function} [onSubmitError] - Optional callback to fire if the promise returned by `onSubmit` rejects with anything but `{ fieldErrors }`, ie. when the network fails. Receives the error. If not set, the error is logged and a generic message is shown in the error summary (or announced, without one).
  * @property {function} [whenOffline] - Optional callback to fire after the valid form is submitted but the browser is offline.
  * @property {boolean} [saveDataWhenOffline=true] - Save input field values to localStorage.
+ * @property {boolean} [autosave=false] - Save a draft of the input field values to localStorage while the user edits the form, and restore it on the next visit. Uses the same storage as `saveDataWhenOffline`.
+ * @property {number} [autosaveDelay=1000] - Time in ms to wait after the last change before saving the draft.
+ * @property {boolean} [warnOnUnsavedChanges=false] - Ask the user to confirm before leaving the page while the form has changes that haven't been submitted.
+ * @property {function} [onDirtyChange] - Optional callback to fire when the form goes from pristine to dirty, or back. Receives a boolean telling whether it's dirty, and the changed fields.
+ * @property {boolean|Object} [offlineQueue=false] - Queue submissions made while offline, and send them when the browser is back online. Set to `true` to send them to the form's `action` with its `method`, or pass `{ url, method, headers }`. `whenOffline` receives the idempotency key of the queued submission.
+ * @property {boolean|Object} [upload=false] - Send the form (files and all) yourself, and report the progress of every file. Set to `true` to send it to the form's `action` with its `method`, or pass `{ url, method, headers, timeout }`. `onSubmit` is called once the server has answered, and receives the request. A failed upload is handled like any other failed submit (see `onSubmitError`).
+ * @property {function} [onUploadProgress] - Optional callback to fire when the upload progresses. Receives an array of `{ file, field, loaded, total, failed }` objects (see `utils/network/uploadForm`) - with every file marked as `failed` if the upload fails.
  * @property {PasswordOptions} [password] - Set the requirements for a valid password. For information on how to customize this, see the documentation for `patternMatching/password`.
+ * @property {string} [locale] - The locale of the default messages. Defaults to the one set with `setLocale()` in `utils/i18n/messages`.
+ * @property {boolean|string} [steps=false] - Split the form into steps. Set to `true` to make every (top-level) `<fieldset>` a step, or to a selector for the step elements.
+ * @property {string} [stepParameter="step"] - Name of the query string parameter holding the current step (counting from 1).
+ * @property {function} [onStepChange] - Optional callback to fire when the step changes. Receives the index of the new step, its element and the index of the previous step.
  * @property {string[]} [elementsToValidate=["input", "select", "textarea", "datalist", "output"]] - Tag names of elements to validate.
  * @property {string} [errorMessageIdPrefix="error-for-"] - Prefix for the IDs given to error messages.
+ * @property {boolean|string} [errorSummary=false] - Show a summary with links to every invalid field when submitting fails. Set to `true` to add it at the top of the form, or to a selector for the element to put it in.
+ * @property {function} [errorSummaryHeading] - Receives the number of errors, and returns the heading of the error summary. Also used when announcing the errors to screen readers.
+ * @property {boolean} [announceErrors=true] - Announce errors to screen readers through an ARIA live region.
+ * @property {number} [asyncValidationDelay=300] - Time in ms to wait before running async validators, so a field that's quickly left and changed again doesn't cause a request every time.
  * @property {Object} [classNames={}] - An object with class names.
  * @property {string} [classNames.validField="form-validate__field--valid"] - Class name for fields that are valid.
  * @property {string} [classNames.invalidField="form-validate__field--invalid"] - Class name for fields that did not validate.
  * @property {string} [classNames.forceInvalidField="form-validate__field--force-invalid"] - Class name for fields that must be forced to not validate.
+ * @property {string} [classNames.pendingField="form-validate__field--pending"] - Class name for fields waiting for async validation.
+ * @property {string} [classNames.dirtyField="form-validate__field--dirty"] - Class name for fields whose value differs from the one the form started out with.
+ * @property {string} [classNames.activeStep="form-validate__step--active"] - Class name for the step being shown, in step mode.
  * @property {string} [classNames.errorMessage="form-validate__error-message"] - Class name for the elements that show the error message.
+ * @property {string} [classNames.errorSummary="form-validate__error-summary"] - Class name for the error summary.
+ * @property {string} [classNames.visuallyHidden="visuallyhidden"] - Class name that hides an element visually, but not from screen readers. Used for the live region.
+ * @property {string} [classNames.dropzoneActive="form-validate__dropzone--active"] - Class name for drop zones while files are dragged over them.
  */
 
 /**
@@ -138,10 +416,338 @@ import { setInputPattern } from "./dom/setInputPattern";
  *
  * @private
  * @typedef {Object} ExtendedValidationObject
- * @property {boolean} confirmError
+ * @property {string|boolean} error - The error message of the first validator that failed, or `false`.
  * @property {boolean} valid
  */
 
+/**
+ * Tag names of the elements validated by default.
+ *
+ * @private
+ * @type {string[]}
+ */
+const defaultElementsToValidate = [
+    "input",
+    "select",
+    "textarea",
+    "datalist",
+    "output"
+];
+
+/**
+ * Named validators, shared by all forms.
+ *
+ * @private
+ * @type {Object<string, {validate: validator, message: string|function}>}
+ */
+const registeredValidators = {};
+
+/**
+ * Register a named validator. Fields use it by adding the name to their `data-validate` attribute.
+ *
+ * @param {string} name - The name of the validator, ie. `"cpr"`. Registering the same name twice replaces the first one.
+ * @param {validator} validate - The validator function.
+ * @param {string|function} message - The error message, or a function receiving the field, the argument and the locale of the form, and returning the message.
+ */
+export function registerValidator(name, validate, message) {
+    registeredValidators[name] = { validate, message };
+}
+
+/**
+ * Get the validation rules of a field, from its `data-validate` (and `data-confirms`) attributes - and for file
+ * inputs, from `accept`, `data-max-size` and `data-max-files`.
+ *
+ * @private
+ * @param {HTMLElement} field
+ * @returns {{name: string, argument: string|undefined}[]}
+ */
+function getValidationRules(field) {
+    // Splitting an empty string gives us an empty name, so get rid of that
+    const rules = filter(
+        splitter(field.getAttribute("data-validate") || ""),
+        rule => rule
+    ).map(rule => {
+        const separatorIndex = rule.indexOf(":");
+
+        return separatorIndex > -1
+            ? {
+                  name: rule.substr(0, separatorIndex),
+                  argument: rule.substr(separatorIndex + 1)
+              }
+            : { name: rule, argument: undefined };
+    });
+
+    if (field.hasAttribute("data-confirms")) {
+        rules.push({
+            name: "matches",
+            argument: field.getAttribute("data-confirms")
+        });
+    }
+
+    // File inputs get their rules from the same attributes the browser uses (or would, if it could)
+    if (field.type === "file") {
+        if (field.getAttribute("accept")) {
+            rules.push({
+                name: "file-type",
+                argument: field.getAttribute("accept")
+            });
+        }
+
+        if (field.hasAttribute("data-max-size")) {
+            rules.push({
+                name: "file-size",
+                argument: field.getAttribute("data-max-size")
+            });
+        }
+
+        rules.push({
+            name: "file-count",
+            argument:
+                field.getAttribute("data-max-files") ||
+                (field.multiple ? "" : "1")
+        });
+    }
+
+    return rules;
+}
+
+/**
+ * Turn the value of a date field into a Date object. Handles both the "YYYY-MM-DD" format of `<input type="date">`
+ * and the day-first formats understood by `isDateValid()`.
+ *
+ * @private
+ * @param {string} value
+ * @returns {Date|boolean} The date, or `false` if it isn't valid.
+ */
+function parseDate(value) {
+    const isoDate = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+
+    try {
+        return isoDate
+            ? isDateValid({
+                  year: Number(isoDate[1]),
+                  month: Number(isoDate[2]),
+                  date: Number(isoDate[3])
+              })
+            : isDateValid(value);
+    } catch (error) {
+        // isDateValid() throws if it can't make sense of the format
+        return false;
+    }
+}
+
+/**
+ * Get the date of another field in the form, for comparing dates across fields.
+ *
+ * @private
+ * @param {HTMLFormElement} form
+ * @param {string} name - The name of the other field.
+ * @returns {Date|boolean} The date, or `false` if the field doesn't exist or doesn't hold a valid date.
+ */
+function getDateOfField(form, name) {
+    const otherField = form.querySelector(`[name="${name}"]`);
+    return otherField && otherField.value ? parseDate(otherField.value) : false;
+}
+
+/**
+ * Get the start of today, so dates entered without a time can be compared to it.
+ *
+ * @private
+ * @returns {Date}
+ */
+function getToday() {
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    return today;
+}
+
+/**
+ * Make a validator message that's looked up in the message catalogue.
+ *
+ * @private
+ * @param {string} key
+ * @returns {function}
+ */
+function localisedMessage(key) {
+    return (field, argument, locale) => getMessage(key, { argument }, locale);
+}
+
+registerValidator(
+    "cpr",
+    value => isCprValid(value),
+    localisedMessage("formValidate.cpr")
+);
+
+registerValidator(
+    "date",
+    value => !!parseDate(value),
+    localisedMessage("formValidate.date")
+);
+
+registerValidator(
+    "date-past",
+    value => {
+        const date = parseDate(value);
+        return !!date && date < getToday();
+    },
+    localisedMessage("formValidate.datePast")
+);
+
+registerValidator(
+    "date-future",
+    value => {
+        const date = parseDate(value);
+        return !!date && date > getToday();
+    },
+    localisedMessage("formValidate.dateFuture")
+);
+
+// If the other date is missing or invalid, that field will complain about it - so we won't.
+registerValidator(
+    "date-after",
+    (value, field, { argument, form }) => {
+        const date = parseDate(value);
+        const otherDate = getDateOfField(form, argument);
+        return !!date && (!otherDate || date > otherDate);
+    },
+    localisedMessage("formValidate.dateAfter")
+);
+
+registerValidator(
+    "date-before",
+    (value, field, { argument, form }) => {
+        const date = parseDate(value);
+        const otherDate = getDateOfField(form, argument);
+        return !!date && (!otherDate || date < otherDate);
+    },
+    localisedMessage("formValidate.dateBefore")
+);
+
+registerValidator(
+    "matches",
+    (value, field, { argument, form }) => {
+        const otherField = form.querySelector(`[name="${argument}"]`);
+        return !otherField || otherField.value === value;
+    },
+    localisedMessage("formValidate.matches")
+);
+
+/**
+ * Get the files chosen in a file input as an array.
+ *
+ * @private
+ * @param {HTMLInputElement} field
+ * @returns {File[]}
+ */
+function getFiles(field) {
+    return Array.prototype.slice.call(field.files || []);
+}
+
+registerValidator(
+    "file-type",
+    (value, field, { argument }) =>
+        getFiles(field).every(file => isFileTypeAccepted(file, argument)),
+    (field, argument, locale) =>
+        getMessage("formValidate.fileType", { accept: argument }, locale)
+);
+
+registerValidator(
+    "file-size",
+    (value, field, { argument }) =>
+        getFiles(field).every(file => file.size <= parseFileSize(argument)),
+    (field, argument, locale) =>
+        getMessage(
+            "formValidate.fileSize",
+            { maxSize: formatFileSize(parseFileSize(argument)) },
+            locale
+        )
+);
+
+// An empty argument means any number of files
+registerValidator(
+    "file-count",
+    (value, field, { argument }) =>
+        !argument || getFiles(field).length <= parseInt(argument, 10),
+    (field, argument, locale) =>
+        getMessage(
+            "formValidate.fileCount",
+            { count: parseInt(argument, 10) },
+            locale
+        )
+);
+
+/**
+ * Named async validators, shared by all forms.
+ *
+ * @private
+ * @type {Object<string, asyncValidator>}
+ */
+const asyncValidators = {};
+
+/**
+ * Register a named async validator. Fields use it by adding the name to their `data-validate-async` attribute.
+ *
+ * @param {string} name - The name of the validator, ie. `"usernameAvailable"`.
+ * @param {asyncValidator} validator - The validator function.
+ */
+export function registerAsyncValidator(name, validator) {
+    asyncValidators[name] = validator;
+}
+
+/**
+ * The attributes of file inputs that limit the dimensions of images, by the name used in messages.
+ *
+ * @private
+ * @type {Object<string, string>}
+ */
+const imageDimensionAttributes = {
+    minWidth: "data-min-width",
+    maxWidth: "data-max-width",
+    minHeight: "data-min-height",
+    maxHeight: "data-max-height"
+};
+
+// Reading the dimensions of an image means loading it, so this one is async. Files that aren't images are left to
+// the "accept" attribute, and images the browser can't read are left to the server.
+registerAsyncValidator("image-dimensions", (value, field, { locale }) => {
+    const limits = {};
+    forEach(imageDimensionAttributes, (attribute, name) => {
+        if (field.hasAttribute(attribute)) {
+            limits[name] = parseInt(field.getAttribute(attribute), 10);
+        }
+    });
+
+    const images = getFiles(field).filter(
+        file => (file.type || "").indexOf("image/") === 0
+    );
+
+    return Promise.all(
+        images.map(file => getImageDimensions(file).catch(() => null))
+    ).then(dimensionsOfImages => {
+        let error = true;
+
+        forEach(dimensionsOfImages, dimensions => {
+            if (error !== true || !dimensions) {
+                return;
+            }
+
+            const { width, height } = dimensions;
+
+            if (width < limits.minWidth) {
+                error = "formValidate.imageMinWidth";
+            } else if (width > limits.maxWidth) {
+                error = "formValidate.imageMaxWidth";
+            } else if (height < limits.minHeight) {
+                error = "formValidate.imageMinHeight";
+            } else if (height > limits.maxHeight) {
+                error = "formValidate.imageMaxHeight";
+            }
+        });
+
+        return error === true ? true : getMessage(error, limits, locale);
+    });
+});
+
 /**
  * Generate the field validity object.
  *
@@ -215,788 +821,2092 @@ function getValidityState(field) {
     return checkValidity;
 }
 
-export class FormValidate {
-    /**
-     * This is the constructor method for the FormValidate class.
-     *
-     * @class
-     * @param {HTMLFormElement|Node} formElement - The form element to validate.
-     * @param {FormValidateOptionsObject} [options={}] - Optional options object.
-     */
-    constructor(formElement, options = {}) {
-        /**
-         * Settings
-         *
-         * @private
-         * @type {FormValidateOptionsObject}
-         */
-        this.settings = {
-            classNames: {},
-            saveDataWhenOffline: true,
-            elementsToValidate: [
-                "input",
-                "select",
-                "textarea",
-                "datalist",
-                "output"
-            ],
-            errorMessageIdPrefix: "error-for-",
-            ...options
-        };
+/**
+ * Extended validation states, from the validators given in `data-validate` (and `data-confirms`).
+ *
+ * @private
+ * @param {HTMLElement} field - The field to validate
+ * @param {HTMLFormElement} form - The form the field is in
+ * @param {string} [locale] - The locale of the messages
+ * @returns {ExtendedValidationObject} The custom validations object
+ */
+function getExtendedValidation(field, form, locale) {
+    const extendedValidation = {
+        error: false,
+        valid: true
+    };
 
-        /**
-         * Object containing the various element names that will be used while building the DOM for error messages.
-         *
-         * @private
-         * @type {Object}
-         */
-        this.settings.classNames = {
-            validField:
-                this.settings.classNames.validField ||
-                "form-validate__field--valid",
-            invalidField:
-                this.settings.classNames.invalidField ||
-                "form-validate__field--invalid",
-            forceInvalidField:
-                this.settings.classNames.forceInvalidField ||
-                "form-validate__field--force-invalid",
-            errorMessage:
-                this.settings.classNames.errorMessage ||
-                "form-validate__error-message"
-        };
+    // Leave empty fields to the "required" attribute
+    if (!field.value) {
+        return extendedValidation;
+    }
 
-        /**
-         * Global object to contain all DOM elements.
-         *
-         * @private
-         * @type {Object}
-         */
-        this.dom = {};
+    forEach(getValidationRules(field), ({ name, argument }) => {
+        if (!extendedValidation.valid) {
+            return;
+        }
 
-        /**
-         * Global boolean to check for already added events.
-         *
-         * @private
-         */
-        this.alreadyHasKeyupEvent = false;
+        const registeredValidator = registeredValidators[name];
 
-        /**
-         * This variable holds the event name to fire on a form field in order to trigger validation on it.
-         *
-         * @type {string}
-         */
-        this.validationTrigger = "trigger-form-validation";
+        // A misspelled rule shouldn't break the form - tell the developer, and let the field pass
+        if (!registeredValidator) {
+            window.console.error(
+                `[formValidate.js] No validator named "${name}" has been registered.`,
+                field
+            );
+            return;
+        }
 
-        onReady(() => this.init(formElement));
+        if (
+            !registeredValidator.validate(field.value, field, {
+                argument,
+                form
+            })
+        ) {
+            // Turn "date-after" into "dateAfterMessage", to find a message for this validator only
+            const messageKey = `${name.replace(/-([a-z])/g, (match, letter) =>
+                letter.toUpperCase()
+            )}Message`;
+
+            extendedValidation.valid = false;
+            extendedValidation.error =
+                field.dataset[messageKey] ||
+                field.dataset.requirementsMessage ||
+                (typeof registeredValidator.message === "function"
+                    ? registeredValidator.message(field, argument, locale)
+                    : registeredValidator.message);
+        }
+    });
+
+    return extendedValidation;
+}
+
+/**
+ * Validate a field with the same rules and messages as `FormValidate`, without touching the DOM. Used by the React
+ * bindings, but handy whenever you need to know whether a field is valid.
+ *
+ * @param {HTMLElement} field
+ * @param {Object} [options]
+ * @param {HTMLFormElement} [options.form] - The form the field is in. Defaults to `field.form`.
+ * @param {string} [options.locale] - The locale of the messages.
+ * @param {PasswordOptions} [options.password] - The requirements for passwords.
+ * @param {string[]} [options.elementsToValidate] - Tag names of elements to validate.
+ * @param {boolean} [options.forceInvalid=false] - Treat the field as invalid, no matter what.
+ * @returns {string|boolean} The error message, or `false` if the field is valid.
+ */
+export function getFieldError(
+    field,
+    {
+        form = field && field.form,
+        locale,
+        password,
+        elementsToValidate = defaultElementsToValidate,
+        forceInvalid = false
+    } = {}
+) {
+    // Don't validate submits, buttons and reset inputs, and disabled fields
+    if (
+        !field ||
+        field.disabled ||
+        field.type === "reset" ||
+        field.type === "submit" ||
+        field.type === "button" ||
+        elementsToValidate.indexOf(field.tagName.toLowerCase()) === -1
+    ) {
+        return false;
     }
 
-    /**
-     * Extended validation states
-     *
-     * @private
-     * @param {HTMLElement} field - The field to validate
-     * @returns {ExtendedValidationObject} The custom validations object
-     */
-    checkExtendedValidation(field) {
-        const confirmField = field.getAttribute("data-confirms") || false;
-        let valid = true;
+    // Get validity
+    const validity = getValidityState(field);
 
-        // these checks must ALWAYS be a boolean (true or false)
-        const confirmFieldElement = this.dom.form.querySelector(
-            `input[name=${confirmField}]`
+    // Get extended custom validations
+    const extendedValidations = getExtendedValidation(field, form, locale);
+
+    // If field has a pattern - use that and ignore the browser default validation against the field type.
+    let ignoreTypeValidation = false;
+    let isValidExceptType = true;
+    if (field.hasAttribute("pattern")) {
+        ignoreTypeValidation = true;
+
+        if (
+            validity.badInput ||
+            validity.customError ||
+            validity.valueMissing ||
+            validity.rangeOverflow ||
+            validity.rangeUnderflow ||
+            validity.stepMismatch ||
+            validity.tooLong ||
+            validity.tooShort ||
+            validity.patternMismatch
+        ) {
+            isValidExceptType = false;
+        }
+    }
+
+    // If all valid, return null
+    if (
+        (ignoreTypeValidation ? isValidExceptType : validity.valid) &&
+        extendedValidations.valid &&
+        !forceInvalid
+    ) {
+        return false;
+    }
+
+    // gather all error messages from the field
+    const errorMessage =
+        field.dataset.errorMessage ||
+        getMessage("formValidate.valueMissing", {}, locale);
+    const requirementsMessage = field.dataset.requirementsMessage;
+
+    // If field is required and empty
+    if (validity.valueMissing) {
+        return errorMessage;
+    }
+
+    // If not the right type
+    if (validity.typeMismatch) {
+        // Email
+        if (field.type === "email") {
+            return (
+                requirementsMessage ||
+                getMessage("formValidate.invalidEmail", {}, locale)
+            );
+        }
+
+        // URL
+        else if (field.type === "url") {
+            return (
+                requirementsMessage ||
+                getMessage("formValidate.invalidUrl", {}, locale)
+            );
+        }
+    }
+
+    // If too short
+    if (validity.tooShort) {
+        return (
+            requirementsMessage ||
+            getMessage(
+                "formValidate.tooShort",
+                {
+                    minLength: field.getAttribute("minLength"),
+                    length: field.value.length
+                },
+                locale
+            )
+        );
+    }
+
+    // If too long
+    if (validity.tooLong) {
+        return (
+            requirementsMessage ||
+            getMessage(
+                "formValidate.tooLong",
+                {
+                    maxLength: field.getAttribute("maxLength"),
+                    length: field.value.length
+                },
+                locale
+            )
         );
-        const extendedValidation = {
-            confirmError:
-                confirmFieldElement !== null &&
-                confirmFieldElement.value !== field.value,
-            valid: undefined
+    }
+
+    // If number input isn't a number
+    if (validity.badInput) {
+        return (
+            requirementsMessage ||
+            getMessage("formValidate.badInput", {}, locale)
+        );
+    }
+
+    // If a number value doesn't match the step interval
+    if (validity.stepMismatch) {
+        return (
+            requirementsMessage ||
+            getMessage("formValidate.stepMismatch", {}, locale)
+        );
+    }
+
+    // If a number field is over the max
+    if (validity.rangeOverflow) {
+        return (
+            requirementsMessage ||
+            getMessage(
+                "formValidate.rangeOverflow",
+                {
+                    max: field.getAttribute("max")
+                },
+                locale
+            )
+        );
+    }
+
+    // If a number field is below the min
+    if (validity.rangeUnderflow) {
+        return (
+            requirementsMessage ||
+            getMessage(
+                "formValidate.rangeUnderflow",
+                {
+                    min: field.getAttribute("min")
+                },
+                locale
+            )
+        );
+    }
+
+    // If pattern doesn't match
+    if (validity.patternMismatch) {
+        // Email
+        if (field.type === "email") {
+            return (
+                requirementsMessage ||
+                getMessage("formValidate.invalidEmail", {}, locale)
+            );
+        }
+
+        // Password
+        else if (field.type === "password") {
+            return (
+                requirementsMessage || passwordRequirements(password, locale)
+            );
+        }
+
+        // Anything else
+        else {
+            return (
+                requirementsMessage ||
+                getMessage("formValidate.patternMismatch", {}, locale)
+            );
+        }
+    }
+
+    if (extendedValidations.error) {
+        return extendedValidations.error;
+    }
+
+    // If all else fails, return a generic catchall error
+    return (
+        requirementsMessage || getMessage("formValidate.invalid", {}, locale)
+    );
+}
+
+/**
+ * Get the async validators used by a field, from its `data-validate-async` attribute.
+ *
+ * @private
+ * @param {HTMLElement} field
+ * @returns {asyncValidator[]}
+ */
+function getAsyncValidators(field) {
+    if (!field.dataset || field.disabled) {
+        return [];
+    }
+
+    const names = filter(
+        splitter(field.dataset.validateAsync || ""),
+        name => name
+    );
+
+    // Image dimensions can only be checked by loading the images
+    if (
+        field.type === "file" &&
+        filter(Object.keys(imageDimensionAttributes), name =>
+            field.hasAttribute(imageDimensionAttributes[name])
+        ).length
+    ) {
+        names.push("image-dimensions");
+    }
+
+    // A misspelled validator shouldn't break the form - tell the developer, and let the field pass
+    return filter(names, name => {
+        if (!asyncValidators[name]) {
+            window.console.error(
+                `[formValidate.js] No async validator named "${name}" has been registered.`,
+                field
+            );
+            return false;
+        }
+
+        return true;
+    }).map(name => asyncValidators[name]);
+}
+
+/**
+ * Run the async validators of a field (from its `data-validate-async` attribute), without touching the DOM.
+ * If a validator fails (ie. because the network is down) the promise rejects, so the form isn't sent without being
+ * validated. Validators that are aborted count as passing, since their result isn't needed anymore.
+ *
+ * @param {HTMLElement} field
+ * @param {Object} [options]
+ * @param {string} [options.value] - The value to validate. Defaults to the current value of the field.
+ * @param {AbortSignal} [options.signal] - Passed on to the validators, so they can abort their requests.
+ * @param {string} [options.locale] - The locale of the messages.
+ * @returns {Promise<string|boolean>} Resolves with the error message, or `false` if the field is valid. Rejects if a validator fails.
+ */
+export function validateFieldAsync(
+    field,
+    { value = field.value, signal, locale } = {}
+) {
+    return Promise.all(
+        // Validators that throw right away are treated like the ones that reject
+        getAsyncValidators(field).map(
+            validator =>
+                new Promise(resolve =>
+                    resolve(validator(value, field, { signal, locale }))
+                )
+        )
+    ).then(
+        results => {
+            let error = false;
+
+            forEach(results, result => {
+                if (!error && result === false) {
+                    error =
+                        field.dataset.requirementsMessage ||
+                        getMessage("formValidate.invalid", {}, locale);
+                } else if (!error && typeof result === "string") {
+                    error = result;
+                }
+            });
+
+            return error;
+        },
+        error => {
+            if (error && error.name === "AbortError") {
+                return false;
+            }
+
+            throw error;
+        }
+    );
+}
+
+/**
+ * Generate the ID a form's values are stored under in LocalStorage.
+ *
+ * @param {string} formName - The ID or name of the form.
+ * @param {string[]} fieldNames - The names of the fields in the form.
+ * @returns {number}
+ */
+export function getStorageId(formName, fieldNames) {
+    // Got it from here https://stackoverflow.com/a/34842797
+    return `${formName}${fieldNames.join("")}`
+        .split("")
+        .reduce(
+            (prevHash, currVal) =>
+                ((prevHash << 5) - prevHash + currVal.charCodeAt(0)) | 0,
+            0
+        );
+}
+
+/**
+ * Collect the values of the given fields, to store them in LocalStorage. Passwords and files are left out.
+ *
+ * @param {NodeList|HTMLElement[]} fields
+ * @param {HTMLFormElement} form
+ * @returns {Object<string, string>} The values, by field name.
+ */
+export function collectFormData(fields, form) {
+    const data = {};
+
+    forEach(fields, field => {
+        if (
+            field.name &&
+            !field.disabled &&
+            field.type !== "file" &&
+            field.type !== "reset" &&
+            field.type !== "password" &&
+            field.type !== "submit"
+        ) {
+            if (field.type === "checkbox") {
+                if (field.checked) {
+                    data[field.name] = field.value || "";
+                }
+            } else if (field.type === "radio") {
+                const group = form.querySelectorAll(
+                    `input[name=${field.name}]`
+                );
+                const len = group.length;
+
+                if (len > 0) {
+                    forEach(group, item => {
+                        if (item.checked) {
+                            data[field.name] = item.value || "";
+                        }
+                    });
+                }
+            } else {
+                data[field.name] = field.value || "";
+            }
+        }
+    });
+
+    return data;
+}
+
+/**
+ * Save form values in LocalStorage.
+ *
+ * @param {number|string} storageId
+ * @param {Object<string, string>} data
+ * @returns {boolean} `true` if the values were saved.
+ */
+export function saveFormData(storageId, data) {
+    //check if localStorage is available.
+    if (typeof Storage === "undefined") {
+        return false;
+    }
+
+    const entry = {
+        time: new Date().getTime(),
+        data
+    };
+
+    //save data as JSON string.
+    localStorage.setItem(storageId, JSON.stringify(entry));
+    return true;
+}
+
+/**
+ * Get the form values saved in LocalStorage. Values older than a day are discarded.
+ *
+ * @param {number|string} storageId
+ * @returns {Object<string, string>|null}
+ */
+export function loadFormData(storageId) {
+    if (typeof Storage === "undefined") {
+        return null;
+    }
+
+    // check if we have saved data in localStorage.
+    const item = localStorage.getItem(storageId);
+    const entry = item && JSON.parse(item);
+
+    if (!entry) {
+        return null;
+    }
+
+    // discard submissions older than one day.
+    const now = new Date().getTime();
+    const day = 24 * 60 * 60 * 1000;
+    if (now - day > entry.time) {
+        localStorage.removeItem(storageId);
+        return null;
+    }
+
+    return entry.data;
+}
+
+/**
+ * Remove form values from LocalStorage.
+ *
+ * @param {number|string} storageId
+ */
+export function removeFormData(storageId) {
+    if (typeof Storage !== "undefined") {
+        localStorage.removeItem(storageId);
+    }
+}
+
+/**
+ * Put the data of a form in the offline submission queue.
+ *
+ * @param {HTMLFormElement} form
+ * @param {boolean|Object} offlineQueue - The `offlineQueue` option: `true` to use the form's `action` and `method`, or `{ url, method, headers }`.
+ * @returns {Promise<string>} Resolves with the idempotency key of the queued submission.
+ */
+export function queueFormSubmission(form, offlineQueue) {
+    const queueOptions = typeof offlineQueue === "object" ? offlineQueue : {};
+    const entries = [];
+
+    new FormData(form).forEach((value, name) => entries.push([name, value]));
+
+    return queueSubmission({
+        url: queueOptions.url || form.action,
+        method: queueOptions.method || form.getAttribute("method") || "POST",
+        headers: queueOptions.headers,
+        entries,
+        formId: form.id || form.getAttribute("name")
+    });
+}
+
+export class FormValidate {
+    /**
+     * This is the constructor method for the FormValidate class.
+     *
+     * @class
+     * @param {HTMLFormElement|Node} formElement - The form element to validate.
+     * @param {FormValidateOptionsObject} [options={}] - Optional options object.
+     */
+    constructor(formElement, options = {}) {
+        /**
+         * Settings
+         *
+         * @private
+         * @type {FormValidateOptionsObject}
+         */
+        this.settings = {
+            classNames: {},
+            saveDataWhenOffline: true,
+            autosave: false,
+            autosaveDelay: 1000,
+            warnOnUnsavedChanges: false,
+            offlineQueue: false,
+            upload: false,
+            steps: false,
+            stepParameter: "step",
+            elementsToValidate: defaultElementsToValidate.slice(),
+            errorMessageIdPrefix: "error-for-",
+            asyncValidationDelay: 300,
+            errorSummary: false,
+            errorSummaryHeading: count =>
+                this.getMessage("formValidate.errorSummaryHeading", { count }),
+            announceErrors: true,
+            ...options
+        };
+
+        /**
+         * Object containing the various element names that will be used while building the DOM for error messages.
+         *
+         * @private
+         * @type {Object}
+         */
+        this.settings.classNames = {
+            validField:
+                this.settings.classNames.validField ||
+                "form-validate__field--valid",
+            invalidField:
+                this.settings.classNames.invalidField ||
+                "form-validate__field--invalid",
+            forceInvalidField:
+                this.settings.classNames.forceInvalidField ||
+                "form-validate__field--force-invalid",
+            errorMessage:
+                this.settings.classNames.errorMessage ||
+                "form-validate__error-message",
+            pendingField:
+                this.settings.classNames.pendingField ||
+                "form-validate__field--pending",
+            dirtyField:
+                this.settings.classNames.dirtyField ||
+                "form-validate__field--dirty",
+            activeStep:
+                this.settings.classNames.activeStep ||
+                "form-validate__step--active",
+            errorSummary:
+                this.settings.classNames.errorSummary ||
+                "form-validate__error-summary",
+            visuallyHidden:
+                this.settings.classNames.visuallyHidden || "visuallyhidden",
+            dropzoneActive:
+                this.settings.classNames.dropzoneActive ||
+                "form-validate__dropzone--active"
         };
 
-        // Check if any errors
-        forEach(extendedValidation, check => {
-            if (valid) {
-                // If there's an error, change valid value
-                if (check) {
-                    valid = false;
+        /**
+         * Global object to contain all DOM elements.
+         *
+         * @private
+         * @type {Object}
+         */
+        this.dom = {};
+
+        /**
+         * Global boolean to check for already added events.
+         *
+         * @private
+         */
+        this.alreadyHasKeyupEvent = false;
+
+        /**
+         * This variable holds the event name to fire on a form field in order to trigger validation on it.
+         *
+         * @type {string}
+         */
+        this.validationTrigger = "trigger-form-validation";
+
+        /**
+         * The latest async validation of each field.
+         *
+         * @private
+         * @type {Map<HTMLElement, {value: string, controller: AbortController|null, promise: Promise}>}
+         */
+        this.asyncValidations = new Map();
+
+        /**
+         * Whether the form is waiting for async validation before submitting or moving to the next step.
+         *
+         * @private
+         * @type {boolean}
+         */
+        this.isWaitingForValidation = false;
+
+        /**
+         * The steps of the form, in step mode.
+         *
+         * @private
+         * @type {FormSteps|null}
+         */
+        this.formSteps = null;
+
+        /**
+         * The drop zones of the form.
+         *
+         * @private
+         * @type {FileDropzone[]}
+         */
+        this.dropzones = [];
+
+        /**
+         * The errors currently shown (as text), by the ID (or name) of the element the message belongs to.
+         *
+         * @private
+         * @type {Map<string, {field: HTMLElement, message: string}>}
+         */
+        this.currentErrors = new Map();
+
+        /**
+         * The fields the links in the error summary point to.
+         *
+         * @private
+         * @type {HTMLElement[]}
+         */
+        this.errorSummaryFields = [];
+
+        /**
+         * Keeps track of changes to the fields.
+         *
+         * @private
+         * @type {DirtyState|null}
+         */
+        this.dirtyState = null;
+
+        onReady(() => this.init(formElement));
+    }
+
+    /**
+     * Get a message from the message catalogue, in the locale of the form.
+     *
+     * @private
+     * @param {string} key
+     * @param {Object} [values]
+     * @returns {string}
+     */
+    getMessage(key, values) {
+        return getMessage(key, values, this.settings.locale);
+    }
+
+    /**
+     * Extended validation states, from the validators given in `data-validate` (and `data-confirms`).
+     *
+     * @private
+     * @param {HTMLElement} field - The field to validate
+     * @returns {ExtendedValidationObject} The custom validations object
+     */
+    checkExtendedValidation(field) {
+        return getExtendedValidation(
+            field,
+            this.dom.form,
+            this.settings.locale
+        );
+    }
+
+    /**
+     * Validate a field again, but only if it has already been validated - so we don't show errors on fields the user
+     * hasn't reached yet.
+     *
+     * @private
+     * @param {HTMLElement} field
+     */
+    revalidateField(field) {
+        const hasBeenValidated =
+            hasClass(field, this.settings.classNames.invalidField) ||
+            hasClass(field, this.settings.classNames.validField);
+
+        if (!hasBeenValidated) {
+            return;
+        }
+
+        const error = this.hasError(field);
+
+        if (error) {
+            this.showError(field, error, true);
+        } else {
+            this.hideError(field);
+        }
+    }
+
+    /**
+     * Check the `data-show-if` and `data-required-if` conditions, and show, hide, require or unrequire the fields
+     * accordingly. Fields that become (un)required are validated again, if they already have been.
+     *
+     * @private
+     * @param {HTMLElement} [changedField] - The field that changed. If given, nothing happens unless a condition depends on it.
+     */
+    updateConditionalFields(changedField) {
+        updateConditionalFields(this.dom.form, {
+            fieldTags: this.settings.elementsToValidate,
+            changedField,
+            onHide: field => {
+                // Start over, so the field doesn't show up as valid (or invalid) when it's shown again
+                this.hideError(field);
+                removeClass(field, this.settings.classNames.validField);
+            },
+            onRequiredChange: field => this.revalidateField(field)
+        });
+    }
+
+    /**
+     * Validate the fields that depend on the given field (ie. through `data-confirms` or `date-after:...`), if they've
+     * already been validated. Otherwise changing the first field would leave a stale error on the other.
+     *
+     * @private
+     * @param {HTMLElement} field
+     */
+    revalidateDependentFields(field) {
+        if (!field.name) {
+            return;
+        }
+
+        forEach(
+            this.dom.form.querySelectorAll("[data-validate], [data-confirms]"),
+            dependentField => {
+                const isDependent = getValidationRules(dependentField).some(
+                    rule => rule.argument === field.name
+                );
+
+                if (dependentField !== field && isDependent) {
+                    this.revalidateField(dependentField);
+                }
+            }
+        );
+    }
+
+    /**
+     * Validate input after pressing a key.
+     *
+     * @private
+     * @param {KeyboardEvent} event
+     */
+    inlineValidation(event) {
+        const field = event.target;
+
+        // If this field belongs to a group of fields, get all of them
+        let fieldGroup;
+        if (field.type === "radio" && field.name) {
+            fieldGroup = this.dom.form.querySelectorAll(
+                `input[name=${field.name}]`
+            );
+        }
+
+        // Validate the field
+        const error = this.hasError(field);
+
+        if (error) {
+            this.showError(field, error, true);
+            return;
+        }
+
+        // The async validators have the final say, so let them decide whether to keep the error
+        if (this.getAsyncValidators(field).length) {
+            void this.validateAsync(field).catch(asyncError =>
+                window.console.error(
+                    "[formValidate.js] Could not validate the field:",
+                    asyncError
+                )
+            );
+            return;
+        }
+
+        // It's valid, remove error class
+        removeClass(field, this.settings.classNames.invalidField);
+        // and add a valid class
+        addClass(field, this.settings.classNames.validField);
+
+        // ...remove the "key up" event handler
+        removeEvent(fieldGroup ? fieldGroup : field, "keyup");
+        this.alreadyHasKeyupEvent = false;
+
+        // and hide any existing error message
+        this.hideError(field);
+    }
+
+    /**
+     * Validate the field using Validity State properties
+     *
+     * @private
+     * @param {HTMLElement} field
+     * @returns {string|boolean}
+     */
+    hasError(field) {
+        return getFieldError(field, {
+            form: this.dom.form,
+            locale: this.settings.locale,
+            password: this.settings.password,
+            elementsToValidate: this.settings.elementsToValidate,
+            forceInvalid:
+                !!field &&
+                hasClass(field, this.settings.classNames.forceInvalidField)
+        });
+    }
+
+    /**
+     * Get the async validators used by a field.
+     *
+     * @private
+     * @param {HTMLElement} field
+     * @returns {asyncValidator[]}
+     */
+    getAsyncValidators(field) {
+        return getAsyncValidators(field);
+    }
+
+    /**
+     * Start a new async validation of a field, aborting the previous one.
+     *
+     * @private
+     * @param {HTMLElement} field
+     * @param {asyncValidator[]} validators
+     * @param {boolean} immediately - Skip the delay.
+     * @returns {{value: string, controller: AbortController|null, promise: Promise}}
+     */
+    startAsyncValidation(field, validators, immediately) {
+        const previousValidation = this.asyncValidations.get(field);
+        if (previousValidation && previousValidation.controller) {
+            previousValidation.controller.abort();
+        }
+
+        const value = field.value;
+        const controller =
+            typeof window.AbortController === "function"
+                ? new window.AbortController()
+                : null;
+        const validation = { value, controller };
+
+        addClass(field, this.settings.classNames.pendingField);
+        field.setAttribute("aria-busy", "true");
+
+        validation.promise = new Promise(resolve =>
+            window.setTimeout(
+                resolve,
+                immediately ? 0 : this.settings.asyncValidationDelay
+            )
+        ).then(() => {
+            // Don't bother the server if the value changed while we were waiting
+            if (this.asyncValidations.get(field) !== validation) {
+                return false;
+            }
+
+            return validateFieldAsync(field, {
+                value,
+                signal: controller ? controller.signal : undefined,
+                locale: this.settings.locale
+            });
+        });
+
+        this.asyncValidations.set(field, validation);
+
+        return validation;
+    }
+
+    /**
+     * Run the async validators of a field, and show or hide its error message accordingly. A field that has already
+     * been validated with its current value isn't validated again.
+     *
+     * @private
+     * @param {HTMLElement} field
+     * @param {boolean} [immediately=false] - Skip the delay.
+     * @returns {Promise<string|boolean>} Resolves with the error message, or `false` if the field is valid.
+     */
+    validateAsync(field, immediately = false) {
+        const validators = this.getAsyncValidators(field);
+
+        if (!validators.length) {
+            return Promise.resolve(false);
+        }
+
+        let validation = this.asyncValidations.get(field);
+        if (!validation || validation.value !== field.value) {
+            validation = this.startAsyncValidation(
+                field,
+                validators,
+                immediately
+            );
+        }
+
+        return validation.promise.then(
+            error => {
+                const latestValidation = this.asyncValidations.get(field);
+
+                // A newer validation has taken over (or the form has been destroyed), so this result is stale
+                if (latestValidation !== validation) {
+                    return latestValidation ? this.validateAsync(field) : false;
+                }
+
+                removeClass(field, this.settings.classNames.pendingField);
+                field.removeAttribute("aria-busy");
+
+                // The synchronous checks always win
+                const syncError = this.hasError(field);
+
+                if (syncError) {
+                    this.showError(field, syncError, true);
+                } else if (error) {
+                    this.showError(field, error);
+                } else {
+                    this.hideError(field);
+                }
+
+                return syncError || error;
+            },
+            error => {
+                // Forget about the failed validation, so the next one tries again
+                if (this.asyncValidations.get(field) === validation) {
+                    this.asyncValidations.delete(field);
+                    removeClass(field, this.settings.classNames.pendingField);
+                    field.removeAttribute("aria-busy");
+                }
+
+                throw error;
+            }
+        );
+    }
+
+    /**
+     * Show errors returned by the server on the matching fields, and bring the first one into view.
+     *
+     * @param {Object<string, string>} fieldErrors - Error messages, by field name.
+     */
+    showFieldErrors(fieldErrors) {
+        const fieldsWithErrors = [];
+
+        forEach(fieldErrors, (errorMessage, name) => {
+            const field = this.dom.form.querySelector(`[name="${name}"]`);
+
+            if (field) {
+                this.showError(field, errorMessage);
+                fieldsWithErrors.push(field);
+            }
+        });
+
+        if (fieldsWithErrors.length) {
+            this.reportErrors(fieldsWithErrors);
+        }
+    }
+
+    /**
+     * Show an error message below the field.
+     * Messages written by the author (ie. `data-error-message`) can contain HTML. Messages from async validators and
+     * the server could contain anything, so they're shown as text.
+     *
+     * @private
+     * @param {HTMLElement} field
+     * @param {string} errorMessage
+     * @param {boolean} [isAuthorMessage=false] - Whether the message comes from the field's own attributes or the registered validators, and not from an async validator or the server.
+     */
+    showError(field, errorMessage, isAuthorMessage = false) {
+        let element = field;
+
+        // Add error class to field
+        addClass(element, this.settings.classNames.invalidField);
+        removeClass(element, this.settings.classNames.validField);
+
+        // If the element is a radio button and part of a group, error all and get the last item in the group
+        let elementGroup;
+        if (element.type === "radio" && element.name) {
+            elementGroup = this.dom.form.querySelectorAll(
+                `input[name=${element.name}]`
+            );
+            const len = elementGroup.length;
+            if (len > 0) {
+                forEach(elementGroup, item => {
+                    addClass(item, this.settings.classNames.invalidField);
+                    removeClass(item, this.settings.classNames.validField);
+                });
+                element = elementGroup[len - 1];
+            }
+        }
+
+        // Get element id or name
+        const id = element.id || element.name;
+        if (!id) {
+            throw new Error(
+                "[formValidate.js] Fields need an ID or a name for form validation to work."
+            );
+        }
+
+        // Check if error message element already exists
+        // If not, create one
+        let message = document.getElementById(
+            `${this.settings.errorMessageIdPrefix}${id}`
+        );
+        if (!message) {
+            message = createElement("div", {
+                className: this.settings.classNames.errorMessage,
+                id: `${this.settings.errorMessageIdPrefix}${id}`
+            });
+
+            if (element.dataset.errorContainer) {
+                // If an element is specified as container for the error message, use this
+                const errorContainer = element.form.querySelector(
+                    element.dataset.errorContainer
+                );
+                errorContainer.innerHTML = "";
+                errorContainer.appendChild(message);
+            } else {
+                // If the element is a radio button or checkbox, insert error after the label
+                let label;
+                if (element.type === "radio" || element.type === "checkbox") {
+                    label =
+                        element.form.querySelector(`label[for="${id}"]`) ||
+                        element.parentNode;
+                    if (label) {
+                        label.parentNode.insertBefore(
+                            message,
+                            label.nextSibling
+                        );
+                    }
+                }
+
+                // Otherwise, insert it after the element
+                if (!label) {
+                    element.parentNode.insertBefore(
+                        message,
+                        element.nextSibling
+                    );
                 }
             }
+        }
+
+        // Save original ARIA role, if it exists
+        if (element.hasAttribute("aria-describedby")) {
+            element.setAttribute(
+                "data-original-aria-describedby",
+                element.getAttribute("aria-describedby")
+            );
+        }
+
+        // Add ARIA role to the element
+        element.setAttribute(
+            "aria-describedby",
+            `${this.settings.errorMessageIdPrefix}${id}`
+        );
+
+        // Update error message
+        if (isAuthorMessage) {
+            message.innerHTML = errorMessage;
+        } else {
+            message.textContent = errorMessage;
+        }
+        this.currentErrors.set(id, { field, message: message.textContent });
+
+        // Show error message
+        message.style.display = "block";
+        message.style.visibility = "visible";
+
+        // Since the element has an error, we attach an keyup event to guide the user with positive inline validation
+        // But first check if the element already has an event handler
+        if (this.alreadyHasKeyupEvent !== element.name) {
+            addEvent(elementGroup ? elementGroup : element, "keyup", e =>
+                this.inlineValidation(e)
+            );
+
+            // save reference to element name to clean up events later
+            this.alreadyHasKeyupEvent = element.name;
+        }
+    }
+
+    /**
+     * Hide an error message
+     *
+     * @private
+     * @param {HTMLElement} field
+     */
+    hideError(field) {
+        let element = field;
+
+        // Don't validate submits, buttons and reset inputs, and disabled fields
+        if (
+            element.disabled ||
+            element.type === "reset" ||
+            element.type === "submit" ||
+            element.type === "button"
+        ) {
+            return false;
+        }
+
+        // Remove error class from element
+        removeClass(element, this.settings.classNames.invalidField);
+        addClass(element, this.settings.classNames.validField);
+
+        // Remove ARIA role from the element
+        element.removeAttribute("aria-describedby");
+
+        // Reset ARIA role to original value if it exists
+        if (element.hasAttribute("data-original-aria-describedby")) {
+            element.setAttribute(
+                "aria-describedby",
+                element.getAttribute("data-original-aria-describedby")
+            );
+            element.removeAttribute("data-original-aria-describedby");
+        }
+
+        // If the element is a radio button and part of a group, remove error from all and get the last item in the group
+        if (element.type === "radio" && element.name) {
+            const group = this.dom.form.querySelectorAll(
+                `input[name=${element.name}]`
+            );
+            const len = group.length;
+
+            if (len > 0) {
+                forEach(group, item => {
+                    // Only check elements in current form
+                    if (item.form === element.form) {
+                        removeClass(
+                            item,
+                            this.settings.classNames.invalidField
+                        );
+                        addClass(item, this.settings.classNames.validField);
+                    }
+                });
+
+                element = group[len - 1];
+            }
+        }
+
+        // Get element id or name
+        const id = element.id || element.name;
+        if (!id) {
+            return;
+        }
+
+        this.currentErrors.delete(id);
+
+        // Check if an error message is in the DOM
+        const message = document.getElementById(
+            `${this.settings.errorMessageIdPrefix}${id}`
+        );
+        if (!message) {
+            return;
+        }
+
+        // If so, hide it
+        message.innerHTML = "";
+        message.style.display = "none";
+        message.style.visibility = "hidden";
+    }
+
+    /**
+     * Save form field values in LocalStorage
+     *
+     * @private
+     * @param {NodeList} fields
+     * @returns {boolean}
+     */
+    storeData(fields) {
+        this.dom.fields = fields;
+
+        return saveFormData(
+            this.localStorageId,
+            collectFormData(fields, this.dom.form)
+        );
+    }
+
+    /**
+     * Checks if form field values are already saved in LocalStorage
+     *
+     * @private
+     */
+    checkStorage() {
+        const data = loadFormData(this.localStorageId);
+
+        // We have valid form data, insert them into the form fields
+        if (data) {
+            this.addStorageToFields(data);
+        }
+    }
+
+    /**
+     * Insert data from localStorage into form fields
+     *
+     * @private
+     * @param {Object} data
+     */
+    addStorageToFields(data) {
+        forEach(this.dom.fields, field => {
+            // Don't validate file, reset, hidden, password, submit and disabled input fields
+            if (
+                field.name &&
+                !field.disabled &&
+                field.type !== "file" &&
+                field.type !== "reset" &&
+                field.type !== "hidden" &&
+                field.type !== "password" &&
+                field.type !== "submit"
+            ) {
+                forEach(data, (value, key) => {
+                    // if key (name) from localStorage matches field name then insert value into field
+                    if (key === field.name) {
+                        if (field.type === "radio") {
+                            if (field.value === value) {
+                                field.checked = true;
+                            }
+                        } else if (field.type === "checkbox") {
+                            if (field.value === value) {
+                                field.checked = true;
+                            }
+                        } else {
+                            field.value = value;
+                        }
+                    }
+                });
+            }
+        });
+    }
+
+    /**
+     * Check field on blur and change.
+     *
+     * @private
+     * @param {Event} event
+     */
+    checkField(event) {
+        if (event.relatedTarget && event.relatedTarget.type === "submit") {
+            // Ignore blur events caused by clicking a submit button
+            return;
+        }
+
+        // Update form field values in localStorage
+        if (this.settings.saveDataWhenOffline && this.localStorageId) {
+            this.storeData(this.dom.fields);
+        }
+
+        // Show, hide, require or unrequire the fields that depend on this one
+        this.updateConditionalFields(event.target);
+
+        // Validate the field
+        const error = this.hasError(event.target);
+
+        if (error) {
+            this.showError(event.target, error, true);
+            this.announceFieldError(event.target, error, true);
+        } else {
+            // Otherwise, hide any existing error message
+            this.hideError(event.target);
+
+            // ... and see what the async validators (if any) have to say
+            void this.validateAsync(event.target).then(
+                asyncError => {
+                    if (asyncError && this.dom) {
+                        this.announceFieldError(event.target, asyncError);
+                    }
+                },
+                asyncError =>
+                    window.console.error(
+                        "[formValidate.js] Could not validate the field:",
+                        asyncError
+                    )
+            );
+        }
+
+        // Fields that compare themselves to this one might have changed their minds
+        this.revalidateDependentFields(event.target);
+    }
+
+    /**
+     * Handle form submit.
+     *
+     * @private
+     * @param {Event} event
+     */
+    submitForm(event) {
+        // Lets not submit the form
+        // We will control this from the outside with the callback function (onSubmit)
+        event.preventDefault();
+
+        // Don't submit twice while waiting for async validation
+        if (this.isWaitingForValidation) {
+            return;
+        }
+
+        // In step mode, submitting (ie. pressing enter) before the last step just moves on to the next one
+        if (this.formSteps && !this.formSteps.isLastStep()) {
+            this.nextStep();
+            return;
+        }
+
+        // Make sure the conditional fields are up to date, so hidden ones are left out
+        this.updateConditionalFields();
+
+        // Get all of the form elements (except buttons)
+        // Find elements on every submit since they might change dynamically
+        this.dom.fields = this.dom.form.querySelectorAll(
+            this.settings.elementsToValidate.join(",")
+        );
+
+        // Remove existing errors - values and properties might have changed dynamically
+        forEach(this.dom.fields, field => {
+            this.hideError(field);
         });
 
-        // Add valid property to validity object
-        extendedValidation.valid = valid;
+        // Fire the "before submit" callback if it exists
+        if (typeof this.settings.beforeSubmit === "function") {
+            this.settings.beforeSubmit(this.dom.fields);
+        }
 
-        // Return object
-        return extendedValidation;
+        // Validate each field, and bring the first one with an error into focus - or submit, if there are none
+        this.validateFields(this.dom.fields, (firstFieldWithError, error) => {
+            if (error) {
+                this.handleSubmitError(error);
+            } else if (firstFieldWithError) {
+                this.reportErrors(this.dom.fields);
+            } else {
+                this.hideErrorSummary();
+                this.sendForm();
+            }
+        });
     }
 
     /**
-     * Validate input after pressing a key.
+     * Validate the given fields and show their errors, including those from async validators.
      *
      * @private
-     * @param {KeyboardEvent} event
+     * @param {NodeList|HTMLElement[]} fields
+     * @param {function} callback - Called with the first field with an error, or `null` if they're all valid. If there's nothing to wait for, it's called right away. If an async validator fails, it's called with `null` and the error.
      */
-    inlineValidation(event) {
-        const field = event.target;
+    validateFields(fields, callback) {
+        // Store the first field with an error to a variable so we can bring it into focus later
+        let hasErrors;
+        forEach(fields, field => {
+            const error = this.hasError(field);
+            if (error) {
+                this.showError(field, error, true);
+                if (!hasErrors) {
+                    hasErrors = field;
+                }
+            }
+        });
 
-        // If this field belongs to a group of fields, get all of them
-        let fieldGroup;
-        if (field.type === "radio" && field.name) {
-            fieldGroup = this.dom.form.querySelectorAll(
-                `input[name=${field.name}]`
-            );
+        if (hasErrors) {
+            callback(hasErrors);
+            return;
         }
 
-        // Validate the field
-        const error = this.hasError(field);
+        // Wait for the async validators (if any)
+        const fieldsWithAsyncValidation = filter(
+            fields,
+            field => this.getAsyncValidators(field).length > 0
+        );
 
-        if (error) {
-            this.showError(field, error);
+        if (!fieldsWithAsyncValidation.length) {
+            callback(null);
             return;
         }
 
-        // It's valid, remove error class
-        removeClass(field, this.settings.classNames.invalidField);
-        // and add a valid class
-        addClass(field, this.settings.classNames.validField);
+        this.isWaitingForValidation = true;
 
-        // ...remove the "key up" event handler
-        removeEvent(fieldGroup ? fieldGroup : field, "keyup");
-        this.alreadyHasKeyupEvent = false;
+        Promise.all(
+            fieldsWithAsyncValidation.map(field =>
+                this.validateAsync(field, true)
+            )
+        ).then(
+            errors => {
+                this.isWaitingForValidation = false;
 
-        // and hide any existing error message
-        this.hideError(field);
+                // The form might have been destroyed while we were waiting
+                if (!this.dom) {
+                    return;
+                }
+
+                let firstFieldWithError = null;
+                forEach(errors, (error, index) => {
+                    if (error && !firstFieldWithError) {
+                        firstFieldWithError = fieldsWithAsyncValidation[index];
+                    }
+                });
+
+                callback(firstFieldWithError);
+            },
+            error => {
+                this.isWaitingForValidation = false;
+
+                if (this.dom) {
+                    callback(null, error);
+                }
+            }
+        );
     }
 
     /**
-     * Validate the field using Validity State properties
+     * Focus on a field with an error, or scroll to it if it isn't visible.
      *
      * @private
      * @param {HTMLElement} field
-     * @returns {string|boolean}
      */
-    hasError(field) {
-        // Don't validate submits, buttons and reset inputs, and disabled fields
-        if (
-            !field ||
-            field.disabled ||
-            field.type === "reset" ||
-            field.type === "submit" ||
-            field.type === "button" ||
-            this.settings.elementsToValidate.indexOf(
-                field.tagName.toLowerCase()
-            ) === -1
-        ) {
-            return false;
+    focusOnError(field) {
+        // In step mode, the field might be in another step than the one showing
+        if (this.formSteps) {
+            const stepIndex = this.formSteps.getStepIndex(field);
+
+            if (stepIndex > -1 && stepIndex !== this.formSteps.currentStep) {
+                this.formSteps.showStep(stepIndex);
+            }
         }
 
-        // Get validity
-        const validity = getValidityState(field);
+        if (field.offsetWidth > 0 || field.offsetHeight > 0) {
+            // Element is visible - focus on it
+            field.focus();
+            return;
+        }
 
-        // Get extended custom validations
-        const extendedValidations = this.checkExtendedValidation(field);
+        // Element is not visible
+        // If it has specified an error container (data-error-container="...")
+        // find that and scroll to it - otherwise scroll to a parent element.
+        if (field.dataset.errorContainer) {
+            const errorContainer = this.dom.form.querySelector(
+                field.dataset.errorContainer
+            );
+            if (errorContainer) {
+                this.scrollToAndFocus(errorContainer);
+                return;
+            }
+        }
 
-        // If field has a pattern - use that and ignore the browser default validation against the field type.
-        let ignoreTypeValidation = false;
-        let isValidExceptType = true;
-        if (field.hasAttribute("pattern")) {
-            ignoreTypeValidation = true;
+        let searchingForVisibleParent = field.parentElement;
 
+        while (searchingForVisibleParent) {
             if (
-                validity.badInput ||
-                validity.customError ||
-                validity.valueMissing ||
-                validity.rangeOverflow ||
-                validity.rangeUnderflow ||
-                validity.stepMismatch ||
-                validity.tooLong ||
-                validity.tooShort ||
-                validity.patternMismatch
+                searchingForVisibleParent.offsetWidth > 0 ||
+                searchingForVisibleParent.offsetHeight > 0
             ) {
-                isValidExceptType = false;
+                this.scrollToAndFocus(searchingForVisibleParent);
+                searchingForVisibleParent = false;
+            } else {
+                searchingForVisibleParent =
+                    searchingForVisibleParent.parentElement;
             }
         }
+    }
 
-        // If all valid, return null
-        if (
-            (ignoreTypeValidation ? isValidExceptType : validity.valid) &&
-            extendedValidations.valid &&
-            !hasClass(field, this.settings.classNames.forceInvalidField)
-        ) {
-            return false;
-        }
-
-        // gather all error messages from the field
-        const errorMessage =
-            field.dataset.errorMessage || "Please fill out this field";
-        const requirementsMessage = field.dataset.requirementsMessage;
-
-        // If field is required and empty
-        if (validity.valueMissing) {
-            return errorMessage;
-        }
+    /**
+     * Scroll to a container, and move focus to the first interactive element in it - so keyboard and screen reader
+     * users end up in the same place as everyone else.
+     *
+     * @private
+     * @param {HTMLElement} container
+     */
+    scrollToAndFocus(container) {
+        void scrollTo(container, 0, window, -30).then(() => {
+            const firstElement = getFirstInteractiveElementInContainer(
+                container
+            );
 
-        // If not the right type
-        if (validity.typeMismatch) {
-            // Email
-            if (field.type === "email") {
-                return requirementsMessage || "Please enter an email address.";
+            if (firstElement && firstElement.focus) {
+                firstElement.focus();
             }
+        });
+    }
 
-            // URL
-            else if (field.type === "url") {
-                return requirementsMessage || "Please enter a URL.";
-            }
+    /**
+     * Get a human readable name for a field, for the error summary and announcements. Uses `data-error-label` if set,
+     * and otherwise the field's label (or the legend of the fieldset around a group of radio buttons).
+     *
+     * @private
+     * @param {HTMLElement} field
+     * @returns {string}
+     */
+    getFieldLabel(field) {
+        if (field.dataset.errorLabel) {
+            return field.dataset.errorLabel;
         }
 
-        // If too short
-        if (validity.tooShort) {
-            return (
-                requirementsMessage ||
-                `Please expand this text to ${field.getAttribute(
-                    "minLength"
-                )} characters or more. You are currently using ${
-                    field.value.length
-                } characters.`
-            );
-        }
+        let label;
 
-        // If too long
-        if (validity.tooLong) {
-            return (
-                requirementsMessage ||
-                `Please short this text to no more than ${field.getAttribute(
-                    "maxLength"
-                )} characters. You are currently using ${
-                    field.value.length
-                } characters.`
-            );
+        if (field.type === "radio" || field.type === "checkbox") {
+            let parent = field.parentElement;
+            while (parent && parent !== this.dom.form && !label) {
+                if (parent.tagName === "FIELDSET") {
+                    label = parent.querySelector("legend");
+                }
+                parent = parent.parentElement;
+            }
         }
 
-        // If number input isn't a number
-        if (validity.badInput) {
-            return requirementsMessage || "Please enter a number.";
+        if (!label && field.id) {
+            label = this.dom.form.querySelector(`label[for="${field.id}"]`);
         }
 
-        // If a number value doesn't match the step interval
-        if (validity.stepMismatch) {
-            return requirementsMessage || "Please select a valid value.";
-        }
+        const labelText = label ? label.textContent.trim() : "";
 
-        // If a number field is over the max
-        if (validity.rangeOverflow) {
-            return (
-                requirementsMessage ||
-                `Please select a value that is no more than ${field.getAttribute(
-                    "max"
-                )}.`
-            );
-        }
+        return labelText || field.getAttribute("aria-label") || field.name;
+    }
 
-        // If a number field is below the min
-        if (validity.rangeUnderflow) {
-            return (
-                requirementsMessage ||
-                `Please select a value that is no less than ${field.getAttribute(
-                    "min"
-                )}.`
-            );
-        }
+    /**
+     * Get the errors currently shown on the given fields, in the order they appear in the form.
+     *
+     * @private
+     * @param {NodeList|HTMLElement[]} fields
+     * @returns {Array<{field: HTMLElement, message: string}>}
+     */
+    getErrors(fields) {
+        const errors = [];
 
-        // If pattern doesn't match
-        if (validity.patternMismatch) {
-            // Email
-            if (field.type === "email") {
-                return requirementsMessage || "Please enter an email address.";
+        this.currentErrors.forEach(error => {
+            if (Array.prototype.indexOf.call(fields, error.field) > -1) {
+                errors.push(error);
             }
+        });
 
-            // Password
-            else if (field.type === "password") {
-                return requirementsMessage || "Please enter a valid password.";
-            }
+        return errors.sort((a, b) =>
+            a.field.compareDocumentPosition(b.field) &
+            Node.DOCUMENT_POSITION_FOLLOWING
+                ? -1
+                : 1
+        );
+    }
 
-            // Anything else
-            else {
-                return (
-                    requirementsMessage || "Please match the requested format."
-                );
-            }
-        }
+    /**
+     * Announce a message to screen readers through the live region.
+     *
+     * @param {string} message
+     */
+    announce(message) {
+        const { liveRegion } = this.dom;
 
-        if (extendedValidations.confirmError) {
-            return requirementsMessage || "Field value doesn't match";
+        if (!liveRegion) {
+            return;
         }
 
-        // If all else fails, return a generic catchall error
-        return (
-            requirementsMessage ||
-            "The value you entered for this field is invalid."
-        );
+        // Empty the region first, so the same message is announced again if it's repeated
+        liveRegion.textContent = "";
+        window.setTimeout(() => {
+            liveRegion.textContent = message;
+        }, 100);
     }
 
     /**
-     * Show an error message below the field
+     * Announce the error on a single field.
      *
      * @private
      * @param {HTMLElement} field
      * @param {string} errorMessage
+     * @param {boolean} [isAuthorMessage=false] - Whether the message can contain HTML. See `showError()`.
      */
-    showError(field, errorMessage) {
-        let element = field;
+    announceFieldError(field, errorMessage, isAuthorMessage = false) {
+        // Messages with HTML are read as text - parsed in a document of their own, so nothing in them is loaded or run
+        const message = isAuthorMessage
+            ? new DOMParser().parseFromString(errorMessage, "text/html").body
+                  .textContent
+            : errorMessage;
+
+        this.announce(`${this.getFieldLabel(field)}: ${message}`);
+    }
 
-        // Add error class to field
-        addClass(element, this.settings.classNames.invalidField);
-        removeClass(element, this.settings.classNames.validField);
+    /**
+     * Tell the user about the errors on the given fields after a failed submit: show them in the error summary and
+     * move focus there, or announce how many there are and move focus to the first one.
+     *
+     * @private
+     * @param {NodeList|HTMLElement[]} fields
+     */
+    reportErrors(fields) {
+        const errors = this.getErrors(fields);
 
-        // If the element is a radio button and part of a group, error all and get the last item in the group
-        let elementGroup;
-        if (element.type === "radio" && element.name) {
-            elementGroup = this.dom.form.querySelectorAll(
-                `input[name=${element.name}]`
-            );
-            const len = elementGroup.length;
-            if (len > 0) {
-                forEach(elementGroup, item => {
-                    addClass(item, this.settings.classNames.invalidField);
-                    removeClass(item, this.settings.classNames.validField);
-                });
-                element = elementGroup[len - 1];
-            }
+        if (!errors.length) {
+            return;
         }
 
-        // Get element id or name
-        const id = element.id || element.name;
-        if (!id) {
-            throw new Error(
-                "[formValidate.js] Fields need an ID or a name for form validation to work."
-            );
+        const heading = this.settings.errorSummaryHeading(errors.length);
+        const { errorSummary } = this.dom;
+
+        if (!errorSummary) {
+            this.announce(heading);
+            this.focusOnError(errors[0].field);
+            return;
         }
 
-        // Check if error message element already exists
-        // If not, create one
-        let message = document.getElementById(
-            `${this.settings.errorMessageIdPrefix}${id}`
-        );
-        if (!message) {
-            message = createElement("div", {
-                className: this.settings.classNames.errorMessage,
-                id: `${this.settings.errorMessageIdPrefix}${id}`
+        const headingId = `${this.settings.errorMessageIdPrefix}summary-${this
+            .dom.form.id || this.dom.form.name}`;
+        const list = createElement("ul");
+
+        forEach(errors, ({ field, message }, index) => {
+            const link = createElement("a", {
+                href: field.id ? `#${field.id}` : "#",
+                "data-error-index": index
             });
 
-            if (element.dataset.errorContainer) {
-                // If an element is specified as container for the error message, use this
-                const errorContainer = element.form.querySelector(
-                    element.dataset.errorContainer
-                );
-                errorContainer.innerHTML = "";
-                errorContainer.appendChild(message);
-            } else {
-                // If the element is a radio button or checkbox, insert error after the label
-                let label;
-                if (element.type === "radio" || element.type === "checkbox") {
-                    label =
-                        element.form.querySelector(`label[for="${id}"]`) ||
-                        element.parentNode;
-                    if (label) {
-                        label.parentNode.insertBefore(
-                            message,
-                            label.nextSibling
-                        );
-                    }
-                }
+            link.appendChild(
+                document.createTextNode(`${this.getFieldLabel(field)}: `)
+            );
+            link.appendChild(document.createTextNode(message));
+            list.appendChild(createElement("li", { html: link }));
+        });
 
-                // Otherwise, insert it after the element
-                if (!label) {
-                    element.parentNode.insertBefore(
-                        message,
-                        element.nextSibling
-                    );
+        errorSummary.innerHTML = "";
+        errorSummary.appendChild(
+            createElement("h2", { id: headingId, text: heading })
+        );
+        errorSummary.appendChild(list);
+        errorSummary.setAttribute("aria-labelledby", headingId);
+        errorSummary.removeAttribute("hidden");
+
+        // Remember which fields the links point to
+        this.errorSummaryFields = errors.map(error => error.field);
+
+        // Move focus to the summary, which makes screen readers read it out
+        void scrollTo(errorSummary, 0, window, -30).then(() =>
+            errorSummary.focus()
+        );
+    }
+
+    /**
+     * Hide the error summary.
+     *
+     * @private
+     */
+    hideErrorSummary() {
+        if (this.dom.errorSummary) {
+            this.dom.errorSummary.setAttribute("hidden", "");
+            this.dom.errorSummary.innerHTML = "";
+            this.errorSummaryFields = [];
+        }
+    }
+
+    /**
+     * Move focus to the field a link in the error summary points to.
+     *
+     * @private
+     * @param {MouseEvent} event
+     */
+    handleErrorSummaryClick(event) {
+        let element = event.target;
+
+        while (element && element !== this.dom.errorSummary) {
+            if (element.hasAttribute("data-error-index")) {
+                const field = this.errorSummaryFields[
+                    parseInt(element.getAttribute("data-error-index"), 10)
+                ];
+
+                if (field) {
+                    event.preventDefault();
+                    this.focusOnError(field);
                 }
+                return;
             }
-        }
 
-        // Save original ARIA role, if it exists
-        if (element.hasAttribute("aria-describedby")) {
-            element.setAttribute(
-                "data-original-aria-describedby",
-                element.getAttribute("aria-describedby")
-            );
+            element = element.parentElement;
         }
+    }
 
-        // Add ARIA role to the element
-        element.setAttribute(
-            "aria-describedby",
-            `${this.settings.errorMessageIdPrefix}${id}`
-        );
-
-        // Update error message
-        message.innerHTML = errorMessage;
+    /**
+     * Set up the error summary and the live region used for announcements.
+     *
+     * @private
+     */
+    initErrorReporting() {
+        const { errorSummary, announceErrors, classNames } = this.settings;
+
+        if (errorSummary) {
+            this.dom.errorSummary =
+                typeof errorSummary === "string"
+                    ? document.querySelector(errorSummary)
+                    : null;
+
+            if (!this.dom.errorSummary) {
+                this.dom.errorSummary = createElement("div");
+                this.dom.form.insertBefore(
+                    this.dom.errorSummary,
+                    this.dom.form.firstChild
+                );
+                this.isErrorSummaryCreated = true;
+            }
 
-        // Show error message
-        message.style.display = "block";
-        message.style.visibility = "visible";
+            addClass(this.dom.errorSummary, classNames.errorSummary);
+            this.dom.errorSummary.setAttribute("tabindex", "-1");
+            this.dom.errorSummary.setAttribute("role", "region");
+            this.hideErrorSummary();
 
-        // Since the element has an error, we attach an keyup event to guide the user with positive inline validation
-        // But first check if the element already has an event handler
-        if (this.alreadyHasKeyupEvent !== element.name) {
-            addEvent(elementGroup ? elementGroup : element, "keyup", e =>
-                this.inlineValidation(e)
+            addEvent(this.dom.errorSummary, "click", event =>
+                this.handleErrorSummaryClick(event)
             );
+        }
 
-            // save reference to element name to clean up events later
-            this.alreadyHasKeyupEvent = element.name;
+        if (announceErrors) {
+            this.dom.liveRegion = createElement("div", {
+                className: classNames.visuallyHidden,
+                role: "status",
+                "aria-live": "polite",
+                "aria-atomic": "true"
+            });
+            this.dom.form.appendChild(this.dom.liveRegion);
         }
     }
 
     /**
-     * Hide an error message
+     * Hand the valid form over to the `onSubmit` callback - or store it, if the browser is offline.
      *
      * @private
-     * @param {HTMLElement} field
      */
-    hideError(field) {
-        let element = field;
-
-        // Don't validate submits, buttons and reset inputs, and disabled fields
+    sendForm() {
         if (
-            element.disabled ||
-            element.type === "reset" ||
-            element.type === "submit" ||
-            element.type === "button"
+            typeof this.settings.onSubmit !== "function" &&
+            !this.settings.upload
         ) {
-            return false;
+            return;
         }
 
-        // Remove error class from element
-        removeClass(element, this.settings.classNames.invalidField);
-        addClass(element, this.settings.classNames.validField);
+        if (
+            !navigator.onLine &&
+            this.settings.offlineQueue &&
+            isSubmissionQueueSupported()
+        ) {
+            this.queueSubmission();
+            return;
+        }
 
-        // Remove ARIA role from the element
-        element.removeAttribute("aria-describedby");
+        if (!navigator.onLine && this.settings.saveDataWhenOffline) {
+            // If browser is offline and saveDataWhenOffline option is set
+            // Store data in localStorage...
+            this.storeData(this.dom.fields);
 
-        // Reset ARIA role to original value if it exists
-        if (element.hasAttribute("data-original-aria-describedby")) {
-            element.setAttribute(
-                "aria-describedby",
-                element.getAttribute("data-original-aria-describedby")
-            );
-            element.removeAttribute("data-original-aria-describedby");
+            // and fire callback
+            if (typeof this.settings.whenOffline === "function") {
+                this.settings.whenOffline();
+            }
+            return;
         }
 
-        // If the element is a radio button and part of a group, remove error from all and get the last item in the group
-        if (element.type === "radio" && element.name) {
-            const group = this.dom.form.querySelectorAll(
-                `input[name=${element.name}]`
-            );
-            const len = group.length;
+        //  Delete the localStorage...
+        removeFormData(this.localStorageId);
 
-            if (len > 0) {
-                forEach(group, item => {
-                    // Only check elements in current form
-                    if (item.form === element.form) {
-                        removeClass(
-                            item,
-                            this.settings.classNames.invalidField
-                        );
-                        addClass(item, this.settings.classNames.validField);
+        // and submit the form - without the fields hidden by their conditions
+        const fields = filter(
+            this.dom.fields,
+            field => !isDisabledByCondition(field)
+        );
+        const result = this.settings.upload
+            ? this.upload(fields)
+            : this.settings.onSubmit(fields);
+
+        // The submitted values are the new starting point - once the server has accepted them.
+        // Show any field errors returned by the server
+        if (result && typeof result.then === "function") {
+            result.then(
+                () => {
+                    if (this.dom) {
+                        this.dirtyState.savePristineState();
+                    }
+                },
+                error => {
+                    if (!this.dom) {
+                        return;
                     }
-                });
 
-                element = group[len - 1];
-            }
+                    if (error && error.fieldErrors) {
+                        this.showFieldErrors(error.fieldErrors);
+                    } else {
+                        this.handleSubmitError(error);
+                    }
+                }
+            );
+        } else {
+            this.dirtyState.savePristineState();
         }
+    }
 
-        // Get element id or name
-        const id = element.id || element.name;
-        if (!id) {
+    /**
+     * Let the user know the form couldn't be submitted - or leave it to the `onSubmitError` callback.
+     *
+     * @private
+     * @param {*} error
+     */
+    handleSubmitError(error) {
+        if (typeof this.settings.onSubmitError === "function") {
+            this.settings.onSubmitError(error);
             return;
         }
 
-        // Check if an error message is in the DOM
-        const message = document.getElementById(
-            `${this.settings.errorMessageIdPrefix}${id}`
+        window.console.error(
+            "[formValidate.js] Could not submit the form:",
+            error
         );
-        if (!message) {
+
+        const message = this.getMessage("formValidate.submitFailed");
+        const { errorSummary } = this.dom;
+
+        if (!errorSummary) {
+            this.announce(message);
             return;
         }
 
-        // If so, hide it
-        message.innerHTML = "";
-        message.style.display = "none";
-        message.style.visibility = "hidden";
+        this.errorSummaryFields = [];
+        errorSummary.innerHTML = "";
+        errorSummary.appendChild(createElement("h2", { text: message }));
+        errorSummary.removeAttribute("aria-labelledby");
+        errorSummary.removeAttribute("hidden");
+
+        void scrollTo(errorSummary, 0, window, -30).then(() =>
+            errorSummary.focus()
+        );
     }
 
     /**
-     * Save form field values in LocalStorage
+     * Send the form with `uploadForm()`, reporting the progress of the files, and hand it over to `onSubmit` once
+     * the server has answered.
      *
      * @private
-     * @param {NodeList} fields
-     * @returns {boolean}
+     * @param {HTMLElement[]} fields - The fields to hand over to `onSubmit`.
+     * @returns {Promise}
      */
-    storeData(fields) {
-        //check if localStorage is available.
-        if (typeof Storage !== "undefined") {
-            this.dom.fields = fields;
-            const data = {};
-
-            forEach(fields, field => {
-                if (
-                    field.name &&
-                    !field.disabled &&
-                    field.type !== "file" &&
-                    field.type !== "reset" &&
-                    field.type !== "password" &&
-                    field.type !== "submit"
-                ) {
-                    if (field.type === "checkbox") {
-                        if (field.checked) {
-                            data[field.name] = field.value || "";
-                        }
-                    } else if (field.type === "radio") {
-                        const group = this.dom.form.querySelectorAll(
-                            `input[name=${field.name}]`
-                        );
-                        const len = group.length;
-
-                        if (len > 0) {
-                            forEach(group, item => {
-                                if (item.checked) {
-                                    data[field.name] = item.value || "";
-                                }
-                            });
-                        }
-                    } else {
-                        data[field.name] = field.value || "";
-                    }
+    upload(fields) {
+        const form = this.dom.form;
+        const uploadOptions =
+            typeof this.settings.upload === "object"
+                ? this.settings.upload
+                : {};
+
+        form.setAttribute("aria-busy", "true");
+
+        return uploadForm(form, {
+            ...uploadOptions,
+            onProgress: files => {
+                if (typeof this.settings.onUploadProgress === "function") {
+                    this.settings.onUploadProgress(files);
                 }
-            });
-
-            const entry = {
-                time: new Date().getTime(),
-                data
-            };
+            }
+        }).then(
+            request => {
+                form.removeAttribute("aria-busy");
 
-            //save data as JSON string.
-            localStorage.setItem(this.localStorageId, JSON.stringify(entry));
-            return true;
-        }
-        return false;
+                if (typeof this.settings.onSubmit === "function") {
+                    return this.settings.onSubmit(fields, request);
+                }
+            },
+            error => {
+                form.removeAttribute("aria-busy");
+                throw error;
+            }
+        );
     }
 
     /**
-     * Checks if form field values are already saved in LocalStorage
+     * Put the form data in the offline submission queue.
      *
      * @private
      */
-    checkStorage() {
-        if (typeof Storage !== "undefined") {
-            // check if we have saved data in localStorage.
-            const item = localStorage.getItem(this.localStorageId);
-            const entry = item && JSON.parse(item);
-
-            if (entry) {
-                // discard submissions older than one day.
-                const now = new Date().getTime();
-                const day = 24 * 60 * 60 * 1000;
-                if (now - day > entry.time) {
-                    localStorage.removeItem(this.localStorageId);
-                    return;
+    queueSubmission() {
+        // The queue takes it from here, so don't refill the form with the same data on the next visit
+        removeFormData(this.localStorageId);
+
+        queueFormSubmission(this.dom.form, this.settings.offlineQueue).then(
+            id => {
+                // It will be sent, so the changes aren't lost anymore
+                if (this.dom) {
+                    this.dirtyState.savePristineState();
+                }
+
+                if (typeof this.settings.whenOffline === "function") {
+                    this.settings.whenOffline(id);
                 }
+            },
+            error => {
+                // IndexedDB can be unavailable (ie. in private mode) - fall back to storing the values
+                window.console.error(
+                    "[formValidate.js] Could not queue the submission:",
+                    error
+                );
 
-                // We have valid form data, insert them into the form fields
-                this.addStorageToFields(entry.data);
+                if (this.dom && this.settings.saveDataWhenOffline) {
+                    this.storeData(this.dom.fields);
+                }
             }
-        }
+        );
     }
 
     /**
-     * Insert data from localStorage into form fields
+     * The index of the current step, in step mode.
      *
-     * @private
-     * @param {Object} data
+     * @type {number}
      */
-    addStorageToFields(data) {
-        forEach(this.dom.fields, field => {
-            // Don't validate file, reset, hidden, password, submit and disabled input fields
-            if (
-                field.name &&
-                !field.disabled &&
-                field.type !== "file" &&
-                field.type !== "reset" &&
-                field.type !== "hidden" &&
-                field.type !== "password" &&
-                field.type !== "submit"
-            ) {
-                forEach(data, (value, key) => {
-                    // if key (name) from localStorage matches field name then insert value into field
-                    if (key === field.name) {
-                        if (field.type === "radio") {
-                            if (field.value === value) {
-                                field.checked = true;
-                            }
-                        } else if (field.type === "checkbox") {
-                            if (field.value === value) {
-                                field.checked = true;
-                            }
-                        } else {
-                            field.value = value;
-                        }
-                    }
-                });
+    get currentStep() {
+        return this.formSteps ? this.formSteps.currentStep : 0;
+    }
+
+    /**
+     * Validate the current step, and move on to the next one if it's valid. Only works in step mode.
+     */
+    nextStep() {
+        if (
+            !this.formSteps ||
+            this.isWaitingForValidation ||
+            this.formSteps.isLastStep()
+        ) {
+            return;
+        }
+
+        const stepFields = this.formSteps.getStepFields(
+            this.formSteps.currentStep
+        );
+
+        forEach(stepFields, field => this.hideError(field));
+
+        this.validateFields(stepFields, (firstFieldWithError, error) => {
+            if (error) {
+                // Stay on this step, so the user can try again
+                window.console.error(
+                    "[formValidate.js] Could not validate the step:",
+                    error
+                );
+            } else if (firstFieldWithError) {
+                this.reportErrors(stepFields);
+            } else {
+                this.hideErrorSummary();
+                this.formSteps.moveToStep(this.formSteps.currentStep + 1);
             }
         });
     }
 
     /**
-     * Generate a Hash from string
-     *
-     * @private
-     * @param {String} str
+     * Go back to the previous step. The values of the current step are kept. Only works in step mode.
      */
-    hashCode(str) {
-        // Got it from here https://stackoverflow.com/a/34842797
-        return str
-            .split("")
-            .reduce(
-                (prevHash, currVal) =>
-                    ((prevHash << 5) - prevHash + currVal.charCodeAt(0)) | 0,
-                0
-            );
+    previousStep() {
+        if (this.formSteps && this.formSteps.currentStep > 0) {
+            this.formSteps.moveToStep(this.formSteps.currentStep - 1);
+        }
     }
 
     /**
-     * Check field on blur and change.
+     * Set up step mode: show the step from the URL - unless one of the steps before it isn't filled out correctly,
+     * in which case that one is shown instead.
      *
      * @private
-     * @param {Event} event
      */
-    checkField(event) {
-        if (event.relatedTarget && event.relatedTarget.type === "submit") {
-            // Ignore blur events caused by clicking a submit button
-            return;
-        }
+    initSteps() {
+        const formSteps = new FormSteps(this.dom.form, {
+            selector:
+                this.settings.steps === true ? "fieldset" : this.settings.steps,
+            fieldSelector: this.settings.elementsToValidate.join(","),
+            parameter: this.settings.stepParameter,
+            activeClass: this.settings.classNames.activeStep,
+            isStepValid: stepFields => {
+                let isValid = true;
+                forEach(stepFields, field => {
+                    if (isValid && this.hasError(field)) {
+                        isValid = false;
+                    }
+                });
+                return isValid;
+            },
+            onNext: () => this.nextStep(),
+            onPrevious: () => this.previousStep(),
+            onStepChange: this.settings.onStepChange
+        });
 
-        // Update form field values in localStorage
-        if (this.settings.saveDataWhenOffline && this.localStorageId) {
-            this.storeData(this.dom.fields);
+        if (formSteps.steps.length) {
+            this.formSteps = formSteps;
         }
+    }
 
-        // Validate the field
-        const error = this.hasError(event.target);
+    /**
+     * Check whether a field has been changed since the form started out (or was last submitted).
+     * Fields added to the form later on are never dirty.
+     *
+     * @param {HTMLElement} field
+     * @returns {boolean}
+     */
+    isFieldDirty(field) {
+        return this.dirtyState ? this.dirtyState.isFieldDirty(field) : false;
+    }
 
-        if (error) {
-            this.showError(event.target, error);
-            return;
-        }
+    /**
+     * Get the fields that have been changed.
+     *
+     * @returns {HTMLElement[]}
+     */
+    getDirtyFields() {
+        return this.dirtyState ? this.dirtyState.getDirtyFields() : [];
+    }
 
-        // Otherwise, hide any existing error message
-        this.hideError(event.target);
+    /**
+     * Check whether any field in the form has been changed.
+     *
+     * @returns {boolean}
+     */
+    isDirty() {
+        return this.dirtyState ? this.dirtyState.isDirty() : false;
     }
 
     /**
-     * Handle form submit.
+     * Save the values of the form to LocalStorage - or remove the saved ones, if nothing has changed.
      *
      * @private
-     * @param {Event} event
      */
-    submitForm(event) {
-        // Lets not submit the form
-        // We will control this from the outside with the callback function (onSubmit)
-        event.preventDefault();
-
-        // Get all of the form elements (except buttons)
-        // Find elements on every submit since they might change dynamically
-        this.dom.fields = this.dom.form.querySelectorAll(
-            this.settings.elementsToValidate.join(",")
-        );
+    saveDraft() {
+        if (this.dirtyState.isDirty()) {
+            this.storeData(this.dirtyState.getFields());
+        } else {
+            removeFormData(this.localStorageId);
+        }
+    }
 
-        // Remove existing errors - values and properties might have changed dynamically
-        forEach(this.dom.fields, field => {
-            this.hideError(field);
+    /**
+     * Put every field back the way it was when the form started out (or was last submitted), and remove all errors
+     * and validation classes. Any saved draft is removed as well.
+     */
+    reset() {
+        // Cancel anything that would validate the old values
+        this.asyncValidations.forEach(validation => {
+            if (validation.controller) {
+                validation.controller.abort();
+            }
         });
+        this.asyncValidations.clear();
 
-        // Fire the "before submit" callback if it exists
-        if (typeof this.settings.beforeSubmit === "function") {
-            this.settings.beforeSubmit(this.dom.fields);
-        }
+        // This cancels a pending autosave as well
+        this.dirtyState.restore();
 
-        // Validate each field
-        // Store the first field with an error to a variable so we can bring it into focus later
-        let hasErrors;
-        forEach(this.dom.fields, field => {
-            const error = this.hasError(field);
-            if (error) {
-                this.showError(field, error);
-                if (!hasErrors) {
-                    hasErrors = field;
-                }
-            }
+        // Show and hide conditional fields to match the restored values, before clearing their errors
+        this.updateConditionalFields();
+
+        forEach(this.dirtyState.getFields(), field => {
+            this.hideError(field);
+            removeClass(field, [
+                this.settings.classNames.validField,
+                this.settings.classNames.forceInvalidField,
+                this.settings.classNames.pendingField
+            ]);
+            field.removeAttribute("aria-busy");
         });
 
-        // If there are errors, don't submit form and focus on first element with error
-        // Else fire callback with all the fields
-        if (hasErrors) {
-            if (hasErrors.offsetWidth > 0 || hasErrors.offsetHeight > 0) {
-                // Element is visible - focus on it
-                hasErrors.focus();
-            } else {
-                // Element is not visible
-                // If it has specified an error container (data-error-container="...")
-                // find that and scroll to it - otherwise scroll to a parent element.
-
-                let scrollToError = false;
-                if (hasErrors.dataset.errorContainer) {
-                    const errorContainer = this.dom.form.querySelector(
-                        hasErrors.dataset.errorContainer
-                    );
-                    if (errorContainer) {
-                        scrollToError = true;
-                        void scrollTo(errorContainer, 0, window, -30);
-                    }
-                }
+        this.hideErrorSummary();
 
-                if (!scrollToError) {
-                    let searchingForVisibleParent = hasErrors.parentElement;
-
-                    while (searchingForVisibleParent) {
-                        if (
-                            searchingForVisibleParent.offsetWidth > 0 ||
-                            searchingForVisibleParent.offsetHeight > 0
-                        ) {
-                            void scrollTo(
-                                searchingForVisibleParent,
-                                0,
-                                window,
-                                -30
-                            );
-                            searchingForVisibleParent = false;
-                        } else {
-                            searchingForVisibleParent =
-                                searchingForVisibleParent.parentElement;
-                        }
-                    }
-                }
-            }
-        } else {
-            if (typeof this.settings.onSubmit === "function") {
-                if (!navigator.onLine && this.settings.saveDataWhenOffline) {
-                    // If browser is offline and saveDataWhenOffline option is set
-                    // Store data in localStorage...
-                    this.storeData(this.dom.fields);
+        if (this.localStorageId) {
+            removeFormData(this.localStorageId);
+        }
 
-                    // and fire callback
-                    if (typeof this.settings.whenOffline === "function") {
-                        this.settings.whenOffline();
-                    }
-                } else {
-                    //  Delete the localStorage...
-                    if (typeof Storage !== "undefined") {
-                        localStorage.removeItem(this.localStorageId);
-                    }
-                    // and submit the form
-                    this.settings.onSubmit(this.dom.fields);
-                }
-            }
+        if (this.formSteps) {
+            this.formSteps.showStep(0);
         }
+
+        this.dirtyState.update();
+    }
+
+    /**
+     * Set up the drop zones of the form - elements with a `data-file-dropzone` attribute.
+     *
+     * @private
+     */
+    initDropzones() {
+        this.dropzones = Array.prototype.map.call(
+            this.dom.form.querySelectorAll("[data-file-dropzone]"),
+            dropzone =>
+                new FileDropzone(dropzone, {
+                    form: this.dom.form,
+                    activeClass: this.settings.classNames.dropzoneActive
+                })
+        );
     }
 
     /**
@@ -1047,10 +2957,29 @@ export class FormValidate {
 
         addEvent(this.dom.form, "submit", event => this.submitForm(event));
 
+        this.initErrorReporting();
+
+        this.initDropzones();
+
+        // Send queued submissions (from this visit or an earlier one) whenever we're online
+        if (this.settings.offlineQueue) {
+            flushSubmissionQueueWhenOnline();
+        }
+
+        // Keep track of changes, starting from the values the form started out with - before any saved ones are put in
+        this.dirtyState = new DirtyState(this.dom.form, {
+            fieldSelector: this.settings.elementsToValidate.join(","),
+            dirtyClass: this.settings.classNames.dirtyField,
+            onDirtyChange: this.settings.onDirtyChange,
+            onAutosave: this.settings.autosave ? () => this.saveDraft() : null,
+            autosaveDelay: this.settings.autosaveDelay,
+            warnOnUnsavedChanges: this.settings.warnOnUnsavedChanges
+        });
+
         // If we are allowed
         // Generate Hash from form fields and use it as unique ID in localStorage
         // and chack if we already have data i localStorage
-        if (this.settings.saveDataWhenOffline) {
+        if (this.settings.saveDataWhenOffline || this.settings.autosave) {
             // Cache form fields
             this.dom.fields = this.dom.form.querySelectorAll(
                 this.settings.elementsToValidate.join(",")
@@ -1062,17 +2991,25 @@ export class FormValidate {
             // Push form field names to the array
             forEach(this.dom.fields, field => formFieldsArray.push(field.name));
 
-            // Combine form ID/Name and array to a string
-            const formFieldsString = `${this.dom.form.id ||
-                this.dom.form.attributes.name.value}${formFieldsArray.join(
-                ""
-            )}`;
-
-            // Generate unique ID using hashcode of string
-            this.localStorageId = this.hashCode(formFieldsString);
+            // Generate unique ID from the form ID/Name and the field names
+            this.localStorageId = getStorageId(
+                this.dom.form.id || this.dom.form.attributes.name.value,
+                formFieldsArray
+            );
 
             // Check if we already have data in LocalStorage
             this.checkStorage();
+
+            // Fields filled out from LocalStorage haven't been submitted yet
+            this.dirtyState.update();
+        }
+
+        // Show and hide conditional fields, now that they've been filled out from LocalStorage
+        this.updateConditionalFields();
+
+        // Set up step mode once the fields have been filled out from LocalStorage
+        if (this.settings.steps) {
+            this.initSteps();
         }
     }
 
@@ -1081,11 +3018,43 @@ export class FormValidate {
      * Use this when dynamically removing the form.
      */
     destroy() {
+        // Abort pending async validations
+        this.asyncValidations.forEach(validation => {
+            if (validation.controller) {
+                validation.controller.abort();
+            }
+        });
+        this.asyncValidations.clear();
+
+        if (this.formSteps) {
+            this.formSteps.destroy();
+        }
+
+        this.dirtyState.destroy();
+
         removeEvent(
             this.dom.form,
-            `submit change blur ${this.validationTrigger}`
+            `submit input change blur click ${this.validationTrigger}`
         );
 
+        forEach(this.dropzones, dropzone => dropzone.destroy());
+        this.dropzones = [];
+
+        // Clean up the error summary and the live region
+        if (this.dom.errorSummary) {
+            removeEvent(this.dom.errorSummary, "click");
+
+            if (this.isErrorSummaryCreated) {
+                this.dom.form.removeChild(this.dom.errorSummary);
+            } else {
+                this.hideErrorSummary();
+            }
+        }
+
+        if (this.dom.liveRegion) {
+            this.dom.form.removeChild(this.dom.liveRegion);
+        }
+
         forEach(
             this.dom.form.querySelectorAll(
                 this.settings.elementsToValidate.join(",")
@@ -0,0 +1,243 @@
+/**
+ * Show, hide and require form fields depending on the values of other fields.
+ *
+ * Use `data-show-if` to only show a field (or an element containing fields) when a condition is met, and
+ * `data-required-if` to only require a field when it is. A condition is the name of another field, which must be
+ * checked or filled out - optionally followed by `=` or `!=` and one or more values separated by `|`.
+ * Hidden fields are disabled, so they are neither validated nor submitted.
+ *
+ * `FormValidate` does this for you - use this module directly for forms that don't use it.
+ *
+ * @module utils/forms/conditionalFields
+ *
+ * @example
+ * import { updateConditionalFields } from "./utils/forms/conditionalFields";
+ *
+ * const form = document.getElementById("checkout");
+ *
+ * updateConditionalFields(form);
+ * form.addEventListener("change", event => updateConditionalFields(form, { changedField: event.target }));
+ */
+
+import { forEach } from "../forEach";
+import { filter } from "../filter";
+
+/**
+ * The attribute marking fields that have been disabled because a `data-show-if` condition hid them, so we know to
+ * enable them again - and leave fields that were disabled to begin with alone.
+ *
+ * @private
+ * @type {string}
+ */
+const disabledByConditionAttribute = "data-disabled-by-condition";
+
+/**
+ * Parse a condition from `data-show-if` or `data-required-if`.
+ *
+ * @private
+ * @param {string} condition - ie. `"company"`, `"country=DK|SE"` or `"country!=DK"`.
+ * @returns {{name: string, operator: string|undefined, values: string[]}}
+ */
+function parseCondition(condition) {
+    const match = condition.match(/^\s*([^!=\s]+)\s*(!?=)?\s*(.*?)\s*$/);
+
+    if (!match) {
+        throw new Error(
+            `[conditionalFields.js] "${condition}" is not a valid condition.`
+        );
+    }
+
+    const [, name, operator, values] = match;
+
+    return {
+        name,
+        operator,
+        values: operator ? values.split("|") : []
+    };
+}
+
+/**
+ * Check whether a condition is met by the current values of the form.
+ *
+ * Without a value (ie. `"company"`), the condition is met when the other field is checked or filled out. With values,
+ * it's met when the other field has (`=`) or doesn't have (`!=`) one of them. Disabled fields count as empty.
+ *
+ * @private
+ * @param {HTMLFormElement} form
+ * @param {string} condition
+ * @returns {boolean}
+ */
+function isConditionMet(form, condition) {
+    const { name, operator, values } = parseCondition(condition);
+    const currentValues = [];
+
+    forEach(form.querySelectorAll(`[name="${name}"]`), field => {
+        const hasValue =
+            field.type === "checkbox" || field.type === "radio"
+                ? field.checked
+                : field.value;
+
+        if (hasValue && !field.disabled) {
+            currentValues.push(field.value);
+        }
+    });
+
+    if (!operator) {
+        return currentValues.length > 0;
+    }
+
+    const hasOneOfTheValues = currentValues.some(
+        value => values.indexOf(value) > -1
+    );
+
+    return operator === "=" ? hasOneOfTheValues : !hasOneOfTheValues;
+}
+
+/**
+ * Check whether a field is inside an element hidden by its `data-show-if` condition.
+ *
+ * @private
+ * @param {HTMLElement} field
+ * @param {HTMLFormElement} form
+ * @returns {boolean}
+ */
+function isInHiddenConditionalElement(field, form) {
+    let parent = field.parentElement;
+
+    while (parent && parent !== form) {
+        if (
+            parent.hasAttribute("data-show-if") &&
+            parent.hasAttribute("hidden")
+        ) {
+            return true;
+        }
+
+        parent = parent.parentElement;
+    }
+
+    return false;
+}
+
+/**
+ * Show or hide an element with a `data-show-if` condition. The fields in a hidden element are disabled, which
+ * leaves them out of both validation and submission.
+ *
+ * @private
+ * @param {HTMLFormElement} form
+ * @param {HTMLElement} element - The field itself, or an element containing fields.
+ * @param {boolean} isVisible
+ * @param {string[]} fieldTags
+ * @param {function} [onHide]
+ */
+function toggleConditionalElement(form, element, isVisible, fieldTags, onHide) {
+    const fields =
+        fieldTags.indexOf(element.tagName.toLowerCase()) > -1
+            ? [element]
+            : element.querySelectorAll(fieldTags.join(","));
+
+    if (isVisible) {
+        element.removeAttribute("hidden");
+
+        forEach(fields, field => {
+            if (
+                field.hasAttribute(disabledByConditionAttribute) &&
+                !isInHiddenConditionalElement(field, form)
+            ) {
+                field.disabled = false;
+                field.removeAttribute(disabledByConditionAttribute);
+            }
+        });
+    } else {
+        element.setAttribute("hidden", "");
+
+        forEach(fields, field => {
+            if (!field.disabled) {
+                if (typeof onHide === "function") {
+                    onHide(field);
+                }
+
+                field.disabled = true;
+                field.setAttribute(disabledByConditionAttribute, "");
+            }
+        });
+    }
+}
+
+/**
+ * Check whether a field has been disabled because a `data-show-if` condition hid it.
+ *
+ * @param {HTMLElement} field
+ * @returns {boolean}
+ */
+export function isDisabledByCondition(field) {
+    return field.hasAttribute(disabledByConditionAttribute);
+}
+
+/**
+ * Check the `data-show-if` and `data-required-if` conditions in a form, and show, hide, require or unrequire the
+ * fields accordingly.
+ *
+ * @param {HTMLFormElement} form
+ * @param {Object} [options={}]
+ * @param {string[]} [options.fieldTags=["input", "select", "textarea"]] - Tag names of the fields to disable when they're hidden.
+ * @param {HTMLElement} [options.changedField] - The field that changed. If given, nothing happens unless a condition depends on it.
+ * @param {function} [options.onHide] - Called with each field that's about to be hidden and disabled.
+ * @param {function} [options.onRequiredChange] - Called with each field that's become required, or stopped being so.
+ */
+export function updateConditionalFields(form, options = {}) {
+    const {
+        fieldTags = ["input", "select", "textarea"],
+        changedField,
+        onHide,
+        onRequiredChange
+    } = options;
+    const conditionalElements = form.querySelectorAll(
+        "[data-show-if], [data-required-if]"
+    );
+
+    if (changedField) {
+        const hasDependents = filter(
+            conditionalElements,
+            element =>
+                ["data-show-if", "data-required-if"].filter(
+                    attribute =>
+                        element.hasAttribute(attribute) &&
+                        parseCondition(element.getAttribute(attribute)).name ===
+                            changedField.name
+                ).length > 0
+        ).length;
+
+        if (!changedField.name || !hasDependents) {
+            return;
+        }
+    }
+
+    // Elements are handled in the order they appear in the form, so conditions depending on fields that are
+    // themselves conditional see their final state.
+    forEach(conditionalElements, element => {
+        if (element.hasAttribute("data-show-if")) {
+            toggleConditionalElement(
+                form,
+                element,
+                isConditionMet(form, element.getAttribute("data-show-if")),
+                fieldTags,
+                onHide
+            );
+        }
+
+        if (element.hasAttribute("data-required-if")) {
+            const isRequired = isConditionMet(
+                form,
+                element.getAttribute("data-required-if")
+            );
+
+            if (element.required !== isRequired) {
+                element.required = isRequired;
+
+                if (typeof onRequiredChange === "function") {
+                    onRequiredChange(element);
+                }
+            }
+        }
+    });
+}
@@ -0,0 +1,288 @@
+/**
+ * Keep track of which fields in a form have been changed since it was loaded (or last saved).
+ *
+ * Changed fields get a class name, and `onDirtyChange` is called whenever the form goes from pristine to dirty, or
+ * back. Optionally, `onAutosave` is called once the user takes a break from editing, and the user is asked to confirm
+ * before leaving the page while there are changes.
+ *
+ * `FormValidate` does this for you - see its `autosave`, `warnOnUnsavedChanges` and `onDirtyChange` options.
+ *
+ * @module utils/forms/dirtyState
+ *
+ * @example
+ * import { DirtyState } from "./utils/forms/dirtyState";
+ *
+ * const dirtyState = new DirtyState(document.getElementById("profile"), {
+ *     warnOnUnsavedChanges: true,
+ *     onDirtyChange: isDirty => saveButton.toggleAttribute("disabled", !isDirty)
+ * });
+ *
+ * // Once the changes have been saved, they're the new starting point
+ * saveProfile().then(() => dirtyState.savePristineState());
+ */
+
+import { addEvent, removeEvent } from "../events/events";
+import { addClass, removeClass } from "../dom/classList";
+import { forEach } from "../forEach";
+
+/**
+ * Get what's needed to tell whether a field has changed, and to change it back.
+ *
+ * @private
+ * @param {HTMLElement} field
+ * @returns {boolean|boolean[]|string}
+ */
+function getFieldSnapshot(field) {
+    if (field.type === "checkbox" || field.type === "radio") {
+        return field.checked;
+    }
+
+    if (field.type === "select-multiple") {
+        return Array.prototype.map.call(
+            field.options,
+            option => option.selected
+        );
+    }
+
+    // Files can't be read back, so the names will have to do
+    if (field.type === "file") {
+        return Array.prototype.slice
+            .call(field.files || [])
+            .map(file => file.name)
+            .join(",");
+    }
+
+    return field.value;
+}
+
+/**
+ * Put a field back the way it was when the snapshot was taken. Files can't be put back, so file inputs are just emptied.
+ *
+ * @private
+ * @param {HTMLElement} field
+ * @param {boolean|boolean[]|string} snapshot - From `getFieldSnapshot()`.
+ */
+function restoreFieldSnapshot(field, snapshot) {
+    if (field.type === "checkbox" || field.type === "radio") {
+        field.checked = snapshot;
+    } else if (field.type === "select-multiple") {
+        forEach(field.options, (option, index) => {
+            option.selected = snapshot[index];
+        });
+    } else if (field.type === "file") {
+        field.value = "";
+    } else if (typeof snapshot === "string") {
+        field.value = snapshot;
+    }
+}
+
+export class DirtyState {
+    /**
+     * Remember the current values of the form as the ones it started out with, and start listening for changes.
+     *
+     * @param {HTMLFormElement} form
+     * @param {Object} [options={}]
+     * @param {string} [options.fieldSelector="input, select, textarea"] - Selector for the fields to keep track of.
+     * @param {string} [options.dirtyClass="dirty"] - Class name for fields whose value differs from the one the form started out with.
+     * @param {function} [options.onDirtyChange] - Called when the form goes from pristine to dirty, or back. Receives a boolean telling whether it's dirty, and the changed fields.
+     * @param {function} [options.onAutosave] - Called once the user has stopped editing the form for `autosaveDelay` ms.
+     * @param {number} [options.autosaveDelay=1000] - Time in ms to wait after the last change before calling `onAutosave`.
+     * @param {boolean} [options.warnOnUnsavedChanges=false] - Ask the user to confirm before leaving the page while the form is dirty.
+     */
+    constructor(form, options = {}) {
+        this.settings = {
+            fieldSelector: "input, select, textarea",
+            dirtyClass: "dirty",
+            autosaveDelay: 1000,
+            warnOnUnsavedChanges: false,
+            ...options
+        };
+
+        this.form = form;
+
+        /**
+         * The values the fields started out with (or had when `savePristineState()` was last called).
+         *
+         * @private
+         * @type {Map<HTMLElement, boolean|boolean[]|string>}
+         */
+        this.pristineValues = new Map();
+
+        /**
+         * Whether the form had changes the last time we checked.
+         *
+         * @private
+         * @type {boolean}
+         */
+        this.wasDirty = false;
+
+        /**
+         * The timeout waiting to call `onAutosave`.
+         *
+         * @private
+         * @type {number|null}
+         */
+        this.autosaveTimer = null;
+
+        this.savePristineState();
+
+        addEvent(form, "input change", this.handleInput);
+
+        if (this.settings.warnOnUnsavedChanges) {
+            addEvent(window, "beforeunload", this.warnOnUnload);
+        }
+    }
+
+    /**
+     * Get the fields to keep track of changes in.
+     *
+     * @returns {NodeList}
+     */
+    getFields() {
+        return this.form.querySelectorAll(this.settings.fieldSelector);
+    }
+
+    /**
+     * Remember the current values as the ones the form started out with, so it's pristine again.
+     */
+    savePristineState() {
+        this.pristineValues.clear();
+
+        forEach(this.getFields(), field => {
+            this.pristineValues.set(field, getFieldSnapshot(field));
+        });
+
+        this.update();
+    }
+
+    /**
+     * Check whether a field has been changed since the form started out (or was last saved).
+     * Fields added to the form later on are never dirty.
+     *
+     * @param {HTMLElement} field
+     * @returns {boolean}
+     */
+    isFieldDirty(field) {
+        if (!this.pristineValues.has(field)) {
+            return false;
+        }
+
+        return (
+            String(this.pristineValues.get(field)) !==
+            String(getFieldSnapshot(field))
+        );
+    }
+
+    /**
+     * Get the fields that have been changed.
+     *
+     * @returns {HTMLElement[]}
+     */
+    getDirtyFields() {
+        const dirtyFields = [];
+
+        this.pristineValues.forEach((snapshot, field) => {
+            if (this.isFieldDirty(field)) {
+                dirtyFields.push(field);
+            }
+        });
+
+        return dirtyFields;
+    }
+
+    /**
+     * Check whether any field in the form has been changed.
+     *
+     * @returns {boolean}
+     */
+    isDirty() {
+        return this.getDirtyFields().length > 0;
+    }
+
+    /**
+     * Update the class names of the fields, and fire `onDirtyChange` if the form went from pristine to dirty or back.
+     * Call this after changing the values from code, as that doesn't fire any events.
+     */
+    update() {
+        const dirtyFields = this.getDirtyFields();
+        const isDirty = dirtyFields.length > 0;
+
+        // Checking one radio button unchecks another, so update them all
+        this.pristineValues.forEach((snapshot, field) => {
+            if (dirtyFields.indexOf(field) > -1) {
+                addClass(field, this.settings.dirtyClass);
+            } else {
+                removeClass(field, this.settings.dirtyClass);
+            }
+        });
+
+        if (isDirty !== this.wasDirty) {
+            this.wasDirty = isDirty;
+
+            if (typeof this.settings.onDirtyChange === "function") {
+                this.settings.onDirtyChange(isDirty, dirtyFields);
+            }
+        }
+    }
+
+    /**
+     * Put every field back the way it was when the form started out (or was last saved), and cancel any pending
+     * autosave. Call `update()` once you're done changing the form.
+     */
+    restore() {
+        window.clearTimeout(this.autosaveTimer);
+        this.autosaveTimer = null;
+
+        this.pristineValues.forEach((snapshot, field) => {
+            restoreFieldSnapshot(field, snapshot);
+        });
+    }
+
+    /**
+     * Keep track of changes as the user edits the form, and autosave once they take a break.
+     *
+     * @private
+     */
+    handleInput = () => {
+        this.update();
+
+        if (typeof this.settings.onAutosave !== "function") {
+            return;
+        }
+
+        window.clearTimeout(this.autosaveTimer);
+        this.autosaveTimer = window.setTimeout(() => {
+            this.autosaveTimer = null;
+            this.settings.onAutosave();
+        }, this.settings.autosaveDelay);
+    };
+
+    /**
+     * Ask for confirmation before leaving a form with unsaved changes.
+     *
+     * @private
+     * @param {BeforeUnloadEvent} event
+     * @returns {string|undefined}
+     */
+    warnOnUnload = event => {
+        if (!this.isDirty()) {
+            return;
+        }
+
+        // Browsers show their own message, but some of them want a return value to show it at all
+        event.preventDefault();
+        event.returnValue = "";
+        return "";
+    };
+
+    /**
+     * Stop keeping track of changes. The class names of the fields are left as they are.
+     */
+    destroy() {
+        window.clearTimeout(this.autosaveTimer);
+        this.autosaveTimer = null;
+
+        removeEvent(this.form, "input change", this.handleInput);
+        removeEvent(window, "beforeunload", this.warnOnUnload);
+    }
+}
@@ -0,0 +1,159 @@
+/**
+ * Let files be dropped on an element, and put them in a file input.
+ *
+ * The input is the one inside the drop zone, or the one matching the value of its `data-file-dropzone` attribute.
+ * Dropping files fires a `change` event on the input, just like choosing them in the dialog does - so anything
+ * validating or previewing the files doesn't need to know about the drop zone. Inputs with `multiple` keep the files
+ * already chosen.
+ *
+ * `FormValidate` sets up every `[data-file-dropzone]` in its form for you.
+ *
+ * @module utils/forms/fileDropzone
+ *
+ * @example
+ * {@lang html}
+ * <div data-file-dropzone id="photo-dropzone">
+ *     <label for="photos">Drop your photos here, or choose them</label>
+ *     <input type="file" name="photos" id="photos" multiple />
+ * </div>
+ *
+ * <script>
+ *     import { FileDropzone } from "./utils/forms/fileDropzone";
+ *
+ *     const dropzone = new FileDropzone(document.getElementById("photo-dropzone"), { activeClass: "dropzone--active" });
+ * </script>
+ */
+
+import { addEvent, removeEvent } from "../events/events";
+import { addClass, removeClass } from "../dom/classList";
+import { forEach } from "../forEach";
+import { triggerCustomEvent } from "../events/triggerCustomEvent";
+
+export class FileDropzone {
+    /**
+     * @param {HTMLElement} dropzone
+     * @param {Object} [options={}]
+     * @param {HTMLElement|Document} [options.form=document] - Where to look for the input, when the `data-file-dropzone` attribute has a selector.
+     * @param {string} [options.activeClass="dropzone--active"] - Class name for the drop zone while files are dragged over it.
+     */
+    constructor(dropzone, options = {}) {
+        this.settings = {
+            form: document,
+            activeClass: "dropzone--active",
+            ...options
+        };
+
+        this.dropzone = dropzone;
+
+        addEvent(
+            dropzone,
+            "dragenter dragover dragleave drop",
+            this.handleDropzoneEvent
+        );
+    }
+
+    /**
+     * Get the file input the drop zone feeds.
+     *
+     * @returns {HTMLInputElement|null}
+     */
+    getInput() {
+        const selector = this.dropzone.getAttribute("data-file-dropzone");
+
+        return selector
+            ? this.settings.form.querySelector(selector)
+            : this.dropzone.querySelector("input[type=file]");
+    }
+
+    /**
+     * Handle files being dragged over, out of or dropped on the drop zone.
+     *
+     * @private
+     * @param {DragEvent} event
+     */
+    handleDropzoneEvent = event => {
+        const { dropzone } = this;
+        const input = this.getInput();
+        const dataTransfer = event.dataTransfer;
+
+        // Ignore anything that isn't files, like text dragged from elsewhere on the page
+        if (
+            !input ||
+            input.disabled ||
+            !dataTransfer ||
+            Array.prototype.indexOf.call(dataTransfer.types || [], "Files") ===
+                -1
+        ) {
+            return;
+        }
+
+        // Tell the browser we'll take the files, instead of letting it open them
+        event.preventDefault();
+
+        if (event.type === "dragenter" || event.type === "dragover") {
+            dataTransfer.dropEffect = "copy";
+            addClass(dropzone, this.settings.activeClass);
+            return;
+        }
+
+        // Dragging over a child element fires "dragleave" on the drop zone as well
+        if (
+            event.type === "dragleave" &&
+            dropzone.contains(event.relatedTarget)
+        ) {
+            return;
+        }
+
+        removeClass(dropzone, this.settings.activeClass);
+
+        if (event.type === "drop") {
+            this.addFilesToInput(input, dataTransfer.files);
+        }
+    };
+
+    /**
+     * Put dropped files in the file input, and fire a `change` event on it as if they'd been chosen the usual way.
+     *
+     * @private
+     * @param {HTMLInputElement} input
+     * @param {FileList} files
+     */
+    addFilesToInput(input, files) {
+        if (!files || !files.length) {
+            return;
+        }
+
+        // FileLists can't be created, but a DataTransfer can make one - where supported.
+        let dataTransfer;
+        try {
+            dataTransfer = new DataTransfer();
+        } catch (error) {
+            window.console.error(
+                "[fileDropzone.js] This browser can't add dropped files to a file input."
+            );
+            return;
+        }
+
+        const newFiles = Array.prototype.slice.call(files);
+        const allFiles = input.multiple
+            ? Array.prototype.slice.call(input.files || []).concat(newFiles)
+            : newFiles.slice(0, 1);
+
+        forEach(allFiles, file => dataTransfer.items.add(file));
+        input.files = dataTransfer.files;
+
+        triggerCustomEvent(input, "change");
+    }
+
+    /**
+     * Stop listening for files being dragged over the drop zone.
+     */
+    destroy() {
+        removeEvent(
+            this.dropzone,
+            "dragenter dragover dragleave drop",
+            this.handleDropzoneEvent
+        );
+        removeClass(this.dropzone, this.settings.activeClass);
+    }
+}
@@ -0,0 +1,235 @@
+/**
+ * Split a form into steps, and show one at a time.
+ *
+ * This is what the `steps` option of `FormValidate` is built on. It only takes care of showing the steps and keeping
+ * track of the current one in the URL - whether a step is valid, and what happens when the `data-step-next` and
+ * `data-step-previous` buttons are clicked, is up to whoever uses it.
+ *
+ * @module utils/forms/formSteps
+ *
+ * @example
+ * import { FormSteps } from "./utils/forms/formSteps";
+ *
+ * const form = document.getElementById("signup");
+ * const formSteps = new FormSteps(form, {
+ *     onNext: () => formSteps.moveToStep(formSteps.currentStep + 1),
+ *     onPrevious: () => formSteps.moveToStep(formSteps.currentStep - 1)
+ * });
+ */
+
+import { addEvent, removeEvent } from "../events/events";
+import { addClass, removeClass } from "../dom/classList";
+import { forEach } from "../forEach";
+import { filter } from "../filter";
+import { scrollTo } from "../dom/scrollTo";
+import { getFirstInteractiveElementInContainer } from "../dom/accessibility";
+import { addParameter, getParameter, getQueryString } from "../queryString";
+
+export class FormSteps {
+    /**
+     * Find the steps of the form, and show the one from the URL - unless one of the steps before it isn't valid, in
+     * which case that one is shown instead. If there are no steps, nothing happens, and `steps` is empty.
+     *
+     * @param {HTMLFormElement} form
+     * @param {Object} [options={}]
+     * @param {string} [options.selector="fieldset"] - Selector for the step elements. Steps inside other steps are left out.
+     * @param {string} [options.fieldSelector="input, select, textarea"] - Selector for the fields of a step.
+     * @param {string} [options.parameter="step"] - Name of the query string parameter holding the current step (counting from 1).
+     * @param {string} [options.activeClass="form-validate__step--active"] - Class name of the step that's shown.
+     * @param {function} [options.isStepValid] - Receives the fields of a step and its index, and returns whether the step is valid. Used to decide which step to start on.
+     * @param {function} [options.onNext] - Called when a `data-step-next` button is clicked.
+     * @param {function} [options.onPrevious] - Called when a `data-step-previous` button is clicked.
+     * @param {function} [options.onStepChange] - Called when the step changes, with the index of the new step, its element and the index of the previous step.
+     */
+    constructor(form, options = {}) {
+        this.settings = {
+            selector: "fieldset",
+            fieldSelector: "input, select, textarea",
+            parameter: "step",
+            activeClass: "form-validate__step--active",
+            isStepValid: () => true,
+            ...options
+        };
+
+        this.form = form;
+
+        /**
+         * The index of the step that's shown.
+         *
+         * @type {number}
+         */
+        this.currentStep = 0;
+
+        const allSteps = Array.prototype.slice.call(
+            form.querySelectorAll(this.settings.selector)
+        );
+
+        /**
+         * The step elements.
+         *
+         * @type {HTMLElement[]}
+         */
+        // Fieldsets inside a step (ie. around a group of radio buttons) are part of that step, not steps of their own
+        this.steps = filter(
+            allSteps,
+            step =>
+                !allSteps.some(
+                    otherStep => otherStep !== step && otherStep.contains(step)
+                )
+        );
+
+        if (!this.steps.length) {
+            return;
+        }
+
+        const requestedStep =
+            parseInt(getParameter(this.settings.parameter), 10) - 1 || 0;
+        const lastStep = Math.min(requestedStep, this.steps.length - 1);
+        let stepIndex = 0;
+
+        while (
+            stepIndex < lastStep &&
+            this.settings.isStepValid(this.getStepFields(stepIndex), stepIndex)
+        ) {
+            stepIndex += 1;
+        }
+
+        this.showStep(stepIndex);
+
+        addEvent(form, "click", this.handleStepButtons);
+    }
+
+    /**
+     * Get the index of the step a field is in.
+     *
+     * @param {HTMLElement} field
+     * @returns {number} The index, or -1 if the field isn't in a step.
+     */
+    getStepIndex(field) {
+        let stepIndex = -1;
+
+        forEach(this.steps, (step, index) => {
+            if (step.contains(field)) {
+                stepIndex = index;
+            }
+        });
+
+        return stepIndex;
+    }
+
+    /**
+     * Get the fields in a step.
+     *
+     * @param {number} stepIndex
+     * @returns {NodeList}
+     */
+    getStepFields(stepIndex) {
+        return this.steps[stepIndex].querySelectorAll(
+            this.settings.fieldSelector
+        );
+    }
+
+    /**
+     * Check whether the current step is the last one.
+     *
+     * @returns {boolean}
+     */
+    isLastStep() {
+        return this.currentStep >= this.steps.length - 1;
+    }
+
+    /**
+     * Show a step and hide the rest, and keep track of the step in the URL.
+     *
+     * @param {number} stepIndex
+     */
+    showStep(stepIndex) {
+        const previousStep = this.currentStep;
+        this.currentStep = stepIndex;
+
+        forEach(this.steps, (step, index) => {
+            if (index === stepIndex) {
+                step.removeAttribute("hidden");
+                addClass(step, this.settings.activeClass);
+            } else {
+                step.setAttribute("hidden", "");
+                removeClass(step, this.settings.activeClass);
+            }
+        });
+
+        // Replace rather than push, so the back button leaves the form instead of stepping through it
+        addParameter(this.settings.parameter, stepIndex + 1);
+        window.history.replaceState(
+            window.history.state,
+            "",
+            `${window.location.pathname}?${getQueryString()}${
+                window.location.hash
+            }`
+        );
+
+        if (typeof this.settings.onStepChange === "function") {
+            this.settings.onStepChange(
+                stepIndex,
+                this.steps[stepIndex],
+                previousStep
+            );
+        }
+    }
+
+    /**
+     * Show a step, scroll to it and move focus to its first field.
+     *
+     * @param {number} stepIndex
+     */
+    moveToStep(stepIndex) {
+        this.showStep(stepIndex);
+
+        const step = this.steps[stepIndex];
+        const firstElement = getFirstInteractiveElementInContainer(step);
+
+        void scrollTo(step, 0, window, -30).then(() => {
+            if (firstElement && firstElement.focus) {
+                firstElement.focus();
+            }
+        });
+    }
+
+    /**
+     * Handle clicks on `data-step-next` and `data-step-previous` buttons.
+     *
+     * @private
+     * @param {MouseEvent} event
+     */
+    handleStepButtons = event => {
+        let element = event.target;
+
+        while (element && element !== this.form) {
+            if (element.hasAttribute("data-step-next")) {
+                event.preventDefault();
+
+                if (typeof this.settings.onNext === "function") {
+                    this.settings.onNext();
+                }
+                return;
+            }
+
+            if (element.hasAttribute("data-step-previous")) {
+                event.preventDefault();
+
+                if (typeof this.settings.onPrevious === "function") {
+                    this.settings.onPrevious();
+                }
+                return;
+            }
+
+            element = element.parentElement;
+        }
+    };
+
+    /**
+     * Stop listening for clicks on the step buttons. The steps are left as they are.
+     */
+    destroy() {
+        removeEvent(this.form, "click", this.handleStepButtons);
+    }
+}
@@ -0,0 +1,94 @@
+/**
+ * Danish messages. Register them with `registerLocale("da", da)`.
+ *
+ * @module utils/i18n/locales/da
+ */
+
+/**
+ * @type {Object<string, string|Object>}
+ */
+export const da = {
+    "list.separator": ", ",
+    "list.and": "{items} og {last}",
+
+    "formValidate.valueMissing": "Udfyld venligst dette felt",
+    "formValidate.invalidEmail": "Indtast venligst en e-mailadresse.",
+    "formValidate.invalidUrl": "Indtast venligst en URL.",
+    "formValidate.tooShort":
+        "Teksten skal være på mindst {minLength} tegn. Du bruger i øjeblikket {length} tegn.",
+    "formValidate.tooLong":
+        "Teksten må højst være på {maxLength} tegn. Du bruger i øjeblikket {length} tegn.",
+    "formValidate.badInput": "Indtast venligst et tal.",
+    "formValidate.stepMismatch": "Vælg venligst en gyldig værdi.",
+    "formValidate.rangeOverflow": "Vælg venligst en værdi, der højst er {max}.",
+    "formValidate.rangeUnderflow":
+        "Vælg venligst en værdi, der mindst er {min}.",
+    "formValidate.patternMismatch": "Brug venligst det krævede format.",
+    "formValidate.invalid": "Værdien i dette felt er ugyldig.",
+    "formValidate.cpr": "Indtast venligst et gyldigt CPR-nummer.",
+    "formValidate.date": "Indtast venligst en gyldig dato.",
+    "formValidate.datePast": "Indtast venligst en dato i fortiden.",
+    "formValidate.dateFuture": "Indtast venligst en dato i fremtiden.",
+    "formValidate.dateAfter": "Indtast venligst en senere dato.",
+    "formValidate.dateBefore": "Indtast venligst en tidligere dato.",
+    "formValidate.matches": "Værdierne er ikke ens",
+    "formValidate.fileType":
+        "Vælg venligst en fil af en tilladt type ({accept}).",
+    "formValidate.fileSize": "Vælg venligst filer på højst {maxSize}.",
+    "formValidate.fileCount": {
+        one: "Vælg venligst kun 1 fil.",
+        other: "Vælg venligst højst {count} filer."
+    },
+    "formValidate.imageMinWidth":
+        "Vælg venligst et billede, der er mindst {minWidth} pixels bredt.",
+    "formValidate.imageMaxWidth":
+        "Vælg venligst et billede, der er højst {maxWidth} pixels bredt.",
+    "formValidate.imageMinHeight":
+        "Vælg venligst et billede, der er mindst {minHeight} pixels højt.",
+    "formValidate.imageMaxHeight":
+        "Vælg venligst et billede, der er højst {maxHeight} pixels højt.",
+    "formValidate.submitFailed":
+        "Formularen kunne ikke sendes. Tjek venligst din forbindelse, og prøv igen.",
+    "formValidate.errorSummaryHeading": {
+        one: "Der er 1 fejl i formularen",
+        other: "Der er {count} fejl i formularen"
+    },
+
+    "password.requirements": "Adgangskoden skal indeholde {requirements}.",
+    "password.minLength": "mindst {minLength} tegn",
+    "password.lengthRange": "mellem {minLength} og {maxLength} tegn",
+    "password.minDigits": {
+        one: "mindst {count} tal",
+        other: "mindst {count} tal"
+    },
+    "password.maxDigits": {
+        one: "højst {count} tal",
+        other: "højst {count} tal"
+    },
+    "password.minUppercase": {
+        one: "mindst {count} stort bogstav",
+        other: "mindst {count} store bogstaver"
+    },
+    "password.maxUppercase": {
+        one: "højst {count} stort bogstav",
+        other: "højst {count} store bogstaver"
+    },
+    "password.minLowercase": {
+        one: "mindst {count} lille bogstav",
+        other: "mindst {count} små bogstaver"
+    },
+    "password.maxLowercase": {
+        one: "højst {count} lille bogstav",
+        other: "højst {count} små bogstaver"
+    },
+    "password.minSpecial": {
+        one: "mindst {count} specialtegn",
+        other: "mindst {count} specialtegn"
+    },
+    "password.maxSpecial": {
+        one: "højst {count} specialtegn",
+        other: "højst {count} specialtegn"
+    },
+    "password.noSpaces": "ingen mellemrum",
+    "password.forbiddenChars": "ingen af disse tegn: {chars}"
+};
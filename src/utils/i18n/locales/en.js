@@ -0,0 +1,95 @@
+/**
+ * English messages. This pack is always registered, and is used for every message missing in other locale packs.
+ *
+ * @module utils/i18n/locales/en
+ */
+
+/**
+ * @type {Object<string, string|Object>}
+ */
+export const en = {
+    "list.separator": ", ",
+    "list.and": "{items} and {last}",
+
+    "formValidate.valueMissing": "Please fill out this field",
+    "formValidate.invalidEmail": "Please enter an email address.",
+    "formValidate.invalidUrl": "Please enter a URL.",
+    "formValidate.tooShort":
+        "Please expand this text to {minLength} characters or more. You are currently using {length} characters.",
+    "formValidate.tooLong":
+        "Please shorten this text to no more than {maxLength} characters. You are currently using {length} characters.",
+    "formValidate.badInput": "Please enter a number.",
+    "formValidate.stepMismatch": "Please select a valid value.",
+    "formValidate.rangeOverflow":
+        "Please select a value that is no more than {max}.",
+    "formValidate.rangeUnderflow":
+        "Please select a value that is no less than {min}.",
+    "formValidate.patternMismatch": "Please match the requested format.",
+    "formValidate.invalid": "The value you entered for this field is invalid.",
+    "formValidate.cpr": "Please enter a valid CPR number.",
+    "formValidate.date": "Please enter a valid date.",
+    "formValidate.datePast": "Please enter a date in the past.",
+    "formValidate.dateFuture": "Please enter a date in the future.",
+    "formValidate.dateAfter": "Please enter a later date.",
+    "formValidate.dateBefore": "Please enter an earlier date.",
+    "formValidate.matches": "Field value doesn't match",
+    "formValidate.fileType":
+        "Please choose a file of an accepted type ({accept}).",
+    "formValidate.fileSize": "Please choose files of at most {maxSize}.",
+    "formValidate.fileCount": {
+        one: "Please choose only 1 file.",
+        other: "Please choose at most {count} files."
+    },
+    "formValidate.imageMinWidth":
+        "Please choose an image at least {minWidth} pixels wide.",
+    "formValidate.imageMaxWidth":
+        "Please choose an image at most {maxWidth} pixels wide.",
+    "formValidate.imageMinHeight":
+        "Please choose an image at least {minHeight} pixels high.",
+    "formValidate.imageMaxHeight":
+        "Please choose an image at most {maxHeight} pixels high.",
+    "formValidate.submitFailed":
+        "Your form couldn't be sent. Please check your connection and try again.",
+    "formValidate.errorSummaryHeading": {
+        one: "There is 1 error in the form",
+        other: "There are {count} errors in the form"
+    },
+
+    "password.requirements": "Please include {requirements}.",
+    "password.minLength": "at least {minLength} characters",
+    "password.lengthRange": "between {minLength} and {maxLength} characters",
+    "password.minDigits": {
+        one: "at least {count} number",
+        other: "at least {count} numbers"
+    },
+    "password.maxDigits": {
+        one: "no more than {count} number",
+        other: "no more than {count} numbers"
+    },
+    "password.minUppercase": {
+        one: "at least {count} uppercase character",
+        other: "at least {count} uppercase characters"
+    },
+    "password.maxUppercase": {
+        one: "no more than {count} uppercase character",
+        other: "no more than {count} uppercase characters"
+    },
+    "password.minLowercase": {
+        one: "at least {count} lowercase character",
+        other: "at least {count} lowercase characters"
+    },
+    "password.maxLowercase": {
+        one: "no more than {count} lowercase character",
+        other: "no more than {count} lowercase characters"
+    },
+    "password.minSpecial": {
+        one: "at least {count} special character",
+        other: "at least {count} special characters"
+    },
+    "password.maxSpecial": {
+        one: "no more than {count} special character",
+        other: "no more than {count} special characters"
+    },
+    "password.noSpaces": "no spaces",
+    "password.forbiddenChars": "none of these characters: {chars}"
+};
@@ -0,0 +1,195 @@
+/**
+ * **Message catalogue.**<br>
+ * Keeps the texts shown by the utilities (ie. the error messages of `FormValidate`) in locale packs, so they can be
+ * translated - or just reworded - without touching the code that uses them.
+ *
+ * English is always registered, and used for every message a locale pack doesn't have. Locales are looked up from the
+ * most to the least specific, so `"da-DK"` uses the `"da"` pack unless a `"da-DK"` pack has been registered.
+ *
+ * Messages can contain placeholders like `{minLength}`, which are replaced by the values passed to `getMessage()`.
+ * If a message depends on a number, give it as an object with a text for each plural category (`one`, `other` and so
+ * on) and pass the number as `count`. A message can also be a function, which receives the values and returns the text.
+ *
+ * @module utils/i18n/messages
+ *
+ * @example <caption>Using the Danish locale pack:</caption>
+ * import { registerLocale, setLocale } from "./utils/i18n/messages";
+ * import { da } from "./utils/i18n/locales/da";
+ *
+ * registerLocale("da", da);
+ * setLocale("da");
+ *
+ *
+ * @example <caption>Rewording a single message, and getting messages yourself:</caption>
+ * import { getMessage, registerLocale } from "./utils/i18n/messages";
+ *
+ * registerLocale("en", {
+ *     "formValidate.valueMissing": "This one is required.",
+ *     "cart.items": { one: "{count} item in your cart", other: "{count} items in your cart" }
+ * });
+ *
+ * getMessage("cart.items", { count: 3 }); // Returns "3 items in your cart"
+ */
+
+import { forEach } from "../forEach";
+import { en } from "./locales/en";
+
+/**
+ * The locale used for messages that are missing in every other locale.
+ *
+ * @type {string}
+ */
+export const defaultLocale = "en";
+
+const catalogue = {
+    [defaultLocale]: en
+};
+
+let currentLocale = defaultLocale;
+
+/**
+ * Add a locale pack, or add messages to an existing one. Messages already in the pack are overwritten.
+ *
+ * @param {string} locale - The locale, ie. `"da"` or `"en-GB"`.
+ * @param {Object<string, string|Object|function>} messages - The messages, by key.
+ */
+export function registerLocale(locale, messages) {
+    catalogue[locale] = {
+        ...(catalogue[locale] || {}),
+        ...messages
+    };
+}
+
+/**
+ * Set the locale used when no locale is given to `getMessage()`.
+ *
+ * @param {string} locale
+ */
+export function setLocale(locale) {
+    currentLocale = locale;
+}
+
+/**
+ * Get the locale used when no locale is given to `getMessage()`.
+ *
+ * @returns {string}
+ */
+export function getLocale() {
+    return currentLocale;
+}
+
+/**
+ * Get the locales to look for a message in, from the most to the least specific.
+ *
+ * @private
+ * @param {string} locale
+ * @returns {string[]}
+ */
+function getLocaleChain(locale) {
+    const chain = [locale];
+    const language = locale.split("-")[0];
+
+    if (language !== locale) {
+        chain.push(language);
+    }
+
+    if (chain.indexOf(defaultLocale) === -1) {
+        chain.push(defaultLocale);
+    }
+
+    return chain;
+}
+
+/**
+ * Get the plural category (ie. `"one"` or `"other"`) of a number.
+ *
+ * @private
+ * @param {number} count
+ * @param {string} locale
+ * @returns {string}
+ */
+function getPluralCategory(count, locale) {
+    if (typeof Intl !== "undefined" && Intl.PluralRules) {
+        try {
+            return new Intl.PluralRules(locale).select(count);
+        } catch (error) {
+            // The locale isn't a valid language tag, so we'll make do with the fallback below
+        }
+    }
+
+    return count === 1 ? "one" : "other";
+}
+
+/**
+ * Replace the `{placeholders}` in a text with the given values. Placeholders without a value are left alone.
+ *
+ * @param {string} template - The text, ie. `"at least {minLength} characters"`.
+ * @param {Object} [values={}] - The values, by placeholder name.
+ * @returns {string}
+ */
+export function interpolate(template, values = {}) {
+    return template.replace(/{(\w+)}/g, (placeholder, name) =>
+        typeof values[name] !== "undefined" ? values[name] : placeholder
+    );
+}
+
+/**
+ * Get a message from the catalogue.
+ *
+ * @param {string} key - The key of the message, ie. `"formValidate.valueMissing"`.
+ * @param {Object} [values={}] - Values for the placeholders in the message. Pass `count` for messages with plural forms.
+ * @param {string} [locale] - The locale to use. Defaults to the one set with `setLocale()`.
+ * @returns {string} The message - or the key, if no locale has a message for it.
+ */
+export function getMessage(key, values = {}, locale = currentLocale) {
+    let message;
+
+    forEach(getLocaleChain(locale), localeInChain => {
+        if (
+            typeof message === "undefined" &&
+            catalogue[localeInChain] &&
+            typeof catalogue[localeInChain][key] !== "undefined"
+        ) {
+            message = catalogue[localeInChain][key];
+        }
+    });
+
+    if (typeof message === "undefined") {
+        return key;
+    }
+
+    if (typeof message === "function") {
+        return message(values);
+    }
+
+    if (typeof message === "object") {
+        message =
+            message[getPluralCategory(values.count, locale)] || message.other;
+    }
+
+    return interpolate(message, values);
+}
+
+/**
+ * Join a list of texts into one, ie. `"a, b and c"`.
+ *
+ * @param {string[]} items
+ * @param {string} [locale] - The locale to use. Defaults to the one set with `setLocale()`.
+ * @returns {string}
+ */
+export function formatList(items, locale = currentLocale) {
+    if (items.length < 2) {
+        return items.join("");
+    }
+
+    return getMessage(
+        "list.and",
+        {
+            items: items
+                .slice(0, -1)
+                .join(getMessage("list.separator", {}, locale)),
+            last: items[items.length - 1]
+        },
+        locale
+    );
+}
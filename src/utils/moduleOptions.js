@@ -0,0 +1,252 @@
+/**
+ * Typed module options from data attributes.
+ *
+ * Modules bootstrapped through `utils/bootstrapper` can declare a static `optionsSchema`, listing the options they
+ * accept along with their type, default value and whether they're required. The bootstrapper will then read the
+ * options from the element, convert them to the right types, validate them, and pass them to the constructor as its
+ * second argument. If the options don't validate, the module isn't started, and an error is logged to the console
+ * along with the element.
+ *
+ * Options are read from a `<script type="application/json">` placed directly inside the element, and from data
+ * attributes named after the option (`autoPlay` is read from `data-auto-play`). Data attributes win if both are set.
+ *
+ * Supported types are `"string"`, `"number"`, `"boolean"`, `"object"` and `"array"`. Objects and arrays are given as
+ * JSON when set through data attributes. A boolean attribute without a value (`data-auto-play`) is `true`.
+ *
+ * @module utils/moduleOptions
+ *
+ * @example
+ * <caption>
+ * Markup:
+ * </caption>
+ * {@lang html}
+ * <div data-module="slider" data-delay="5000" data-auto-play>
+ *     <script type="application/json">
+ *         {"slides": ["first", "second"]}
+ *     </script>
+ * </div>
+ *
+ * @example
+ * <caption>
+ * JavaScript:
+ * </caption>
+ * {@lang js}
+ * export class Slider {
+ *     static optionsSchema = {
+ *         delay: { type: "number", default: 3000 },
+ *         autoPlay: { type: "boolean", default: false },
+ *         effect: { type: "string", default: "slide", oneOf: ["slide", "fade"] },
+ *         slides: { type: "array", required: true }
+ *     };
+ *
+ *     constructor(element, options) {
+ *         // options = { delay: 5000, autoPlay: true, effect: "slide", slides: ["first", "second"] }
+ *     }
+ * }
+ *
+ * bootstrapper({ slider: Slider });
+ */
+
+import { forEach } from "./forEach";
+import { isArray } from "./typeCheckers";
+
+/**
+ * The definition of a single option.
+ *
+ * @typedef {object} ModuleOptionDefinition
+ * @property {string} type - One of `"string"`, `"number"`, `"boolean"`, `"object"` or `"array"`.
+ * @property {*} [default] - The value to use if the option isn't set.
+ * @property {boolean} [required=false] - Whether the option must be set.
+ * @property {Array} [oneOf] - A list of allowed values.
+ */
+
+/**
+ * The MIME type of the script tag holding JSON options.
+ *
+ * @type {string}
+ */
+export const optionsScriptType = "application/json";
+
+/**
+ * Get the type of a value, in the same terms as the schema uses.
+ *
+ * @private
+ * @param {*} value
+ * @returns {string}
+ */
+function getValueType(value) {
+    if (isArray(value)) {
+        return "array";
+    }
+
+    return value === null ? "null" : typeof value;
+}
+
+/**
+ * Convert a string value, as read from a data attribute, into the given type.
+ *
+ * @private
+ * @param {string} value
+ * @param {string} type
+ * @returns {*} The converted value, or `undefined` if it couldn't be converted.
+ */
+function convertString(value, type) {
+    switch (type) {
+        case "number": {
+            const number = Number(value);
+            return value.trim() !== "" && !isNaN(number) ? number : undefined;
+        }
+        case "boolean":
+            // A bare attribute (`data-auto-play`) is true, like it would be for a regular boolean attribute.
+            if (value === "" || value === "true") {
+                return true;
+            }
+            return value === "false" ? false : undefined;
+        case "object":
+        case "array":
+            try {
+                return JSON.parse(value);
+            } catch (error) {
+                return undefined;
+            }
+        default:
+            return value;
+    }
+}
+
+/**
+ * Get the options set in a `<script type="application/json">` placed directly inside the element.
+ *
+ * @private
+ * @param {HTMLElement|Element} element
+ * @returns {object}
+ */
+function getScriptOptions(element) {
+    let scriptOptions = {};
+
+    // Only look at direct children, so we don't steal the options of nested modules.
+    forEach(element.children, child => {
+        if (
+            child.nodeName.toLowerCase() === "script" &&
+            child.getAttribute("type") === optionsScriptType
+        ) {
+            scriptOptions = JSON.parse(child.textContent);
+        }
+    });
+
+    return scriptOptions;
+}
+
+/**
+ * Convert and validate a set of raw values against a schema. Strings are converted to the type given in the schema,
+ * so values read from attributes can be passed as they are. Values that aren't in the schema are left out.
+ *
+ * This is what `parseModuleOptions()` uses under the hood, and it's exported so other bootstrappers (ie. the
+ * `reactBootstrapper`) can read their own kind of markup and still validate it the same way.
+ *
+ * @param {object} values - The raw values, ie. `{ delay: "5000", slides: ["first", "second"] }`.
+ * @param {Object<string, ModuleOptionDefinition>} schema - The schema.
+ * @returns {{options: object, problems: string[]}} The converted values, and a list of everything that was wrong with them.
+ */
+export function convertOptions(values, schema) {
+    const options = {};
+    const problems = [];
+
+    forEach(schema, (definition, optionName) => {
+        let value = values[optionName];
+
+        if (value === undefined) {
+            if (definition.required) {
+                problems.push(`"${optionName}" is required`);
+            } else if (definition.default !== undefined) {
+                options[optionName] = definition.default;
+            }
+            return;
+        }
+
+        // Attributes are always strings, and JSON might be written a bit sloppily, so convert strings if we can.
+        if (typeof value === "string" && definition.type !== "string") {
+            const convertedValue = convertString(value, definition.type);
+
+            if (convertedValue === undefined) {
+                problems.push(
+                    `"${optionName}" must be of type ${definition.type} (got "${value}")`
+                );
+                return;
+            }
+
+            value = convertedValue;
+        }
+
+        if (getValueType(value) !== definition.type) {
+            problems.push(
+                `"${optionName}" must be of type ${
+                    definition.type
+                } (got ${getValueType(value)})`
+            );
+            return;
+        }
+
+        if (definition.oneOf && definition.oneOf.indexOf(value) === -1) {
+            problems.push(
+                `"${optionName}" must be one of ${definition.oneOf.join(
+                    ", "
+                )} (got "${value}")`
+            );
+            return;
+        }
+
+        options[optionName] = value;
+    });
+
+    return { options, problems };
+}
+
+/**
+ * Read, convert and validate the options for a module.
+ *
+ * @param {HTMLElement|Element} element - The element to read the options from.
+ * @param {Object<string, ModuleOptionDefinition>} schema - The options schema.
+ * @param {string} moduleName - The name of the module, used for error messages.
+ * @returns {object} The options, ready to use.
+ * @throws {Error} If the options don't validate. The error has the `element` and `moduleName` attached, as well as a list of `problems`.
+ */
+export function parseModuleOptions(element, schema, moduleName) {
+    let scriptOptions = {};
+    let scriptProblems = [];
+
+    try {
+        scriptOptions = getScriptOptions(element);
+    } catch (error) {
+        scriptProblems = [
+            `the <script type="${optionsScriptType}"> does not contain valid JSON (${error.message})`
+        ];
+    }
+
+    const values = { ...scriptOptions };
+
+    // Data attributes win over the script options.
+    forEach(schema, (definition, optionName) => {
+        if (element.dataset[optionName] !== undefined) {
+            values[optionName] = element.dataset[optionName];
+        }
+    });
+
+    const { options, problems: valueProblems } = convertOptions(values, schema);
+    const problems = scriptProblems.concat(valueProblems);
+
+    if (problems.length) {
+        const error = new Error(
+            `Invalid options for module '${moduleName}': ${problems.join(
+                "; "
+            )}.`
+        );
+        error.element = element;
+        error.moduleName = moduleName;
+        error.problems = problems;
+
+        throw error;
+    }
+
+    return options;
+}
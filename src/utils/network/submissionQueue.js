@@ -0,0 +1,529 @@
+/**
+ * **Offline submission queue.**<br>
+ * Form submissions made while the browser is offline are stored in IndexedDB, and sent once the browser is back
+ * online - either by calling `flushSubmissionQueue()` from the page (or `flushSubmissionQueueWhenOnline()`, which
+ * `FormValidate` and its React bindings do), or through Background Sync in the Service Worker, which works even if the page
+ * has been closed in the meantime.
+ *
+ * Every submission gets an idempotency key, which is sent along in the `Idempotency-Key` header. Since the page and
+ * the Service Worker might both try sending the same submission, the server should use the key to ignore duplicates,
+ * and can answer `409 Conflict` for those. Submitting the same data from the same form twice while offline only
+ * queues it once.
+ *
+ * Whenever the status of a submission changes, the `submissionStatusEventName` event is triggered on `window`,
+ * with `{ status, id, formId, submission }` as its `detail`. The status is one of `"pending"`, `"sent"` or `"failed"`.
+ * Failed submissions (ie. rejected by the server, or retried too many times) are removed from the queue, so you'll
+ * want to tell the user about those.
+ *
+ * This module doesn't touch the DOM, so it can be imported in the Service Worker as well.
+ *
+ * @module utils/network/submissionQueue
+ *
+ * @example <caption>Listening for status changes on the page:</caption>
+ * import { submissionStatusEventName } from "./utils/network/submissionQueue";
+ *
+ * window.addEventListener(submissionStatusEventName, event => {
+ *     const { status, formId } = event.detail;
+ *     window.console.log(`The submission from ${formId} is now ${status}`);
+ * });
+ *
+ *
+ * @example <caption>In the Service Worker (ie. sw.js):</caption>
+ * import { handleSubmissionSync } from "./utils/network/submissionQueue";
+ *
+ * self.addEventListener("sync", handleSubmissionSync);
+ *
+ *
+ * @example <caption>Queueing something yourself:</caption>
+ * import { queueSubmission } from "./utils/network/submissionQueue";
+ *
+ * queueSubmission({
+ *     url: "/api/newsletter",
+ *     method: "POST",
+ *     entries: [["email", "someone@example.com"]],
+ *     formId: "newsletter"
+ * }).then(id => window.console.log(`Queued with the idempotency key ${id}`));
+ */
+
+/**
+ * A queued form submission.
+ *
+ * @typedef {object} QueuedSubmission
+ * @property {string} id - The idempotency key.
+ * @property {string} url
+ * @property {string} method
+ * @property {Object<string, string>} headers
+ * @property {Array} entries - The form data as `[name, value]` pairs. Values can be strings or files.
+ * @property {string} [formId] - ID (or name) of the form it came from.
+ * @property {number} createdAt - Timestamp of when it was queued.
+ * @property {number} attempts - Number of failed attempts at sending it.
+ */
+
+/**
+ * The name of the event triggered on `window` when the status of a submission changes.
+ *
+ * @type {string}
+ */
+export const submissionStatusEventName = "akqa.submissionQueue:status";
+
+/**
+ * The tag used when registering for Background Sync.
+ *
+ * @type {string}
+ */
+export const submissionSyncTag = "akqa.submissionQueue:sync";
+
+/**
+ * The name of the header holding the idempotency key.
+ *
+ * @type {string}
+ */
+export const idempotencyHeaderName = "Idempotency-Key";
+
+const databaseName = "akqa.submissionQueue";
+const storeName = "submissions";
+const statusMessageCommand = "submission status";
+
+// Give up on submissions the server keeps failing on after this many attempts.
+const maxAttempts = 5;
+
+let flushPromise = null;
+let isFlushingWhenOnline = false;
+
+/**
+ * Check whether the browser can queue submissions.
+ *
+ * @returns {boolean}
+ */
+export function isSubmissionQueueSupported() {
+    return typeof indexedDB !== "undefined" && typeof fetch === "function";
+}
+
+/**
+ * Open the database, creating it if needed.
+ *
+ * @private
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDatabase() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(databaseName, 1);
+
+        request.onupgradeneeded = () =>
+            request.result.createObjectStore(storeName, { keyPath: "id" });
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Run a request against the object store, and resolve with its result once the transaction is complete.
+ *
+ * @private
+ * @param {string} mode - `"readonly"` or `"readwrite"`.
+ * @param {function} makeRequest - Receives the object store, and returns the request.
+ * @returns {Promise}
+ */
+function runTransaction(mode, makeRequest) {
+    return openDatabase().then(
+        database =>
+            new Promise((resolve, reject) => {
+                const transaction = database.transaction(storeName, mode);
+                const request = makeRequest(transaction.objectStore(storeName));
+
+                transaction.oncomplete = () => {
+                    database.close();
+                    resolve(request.result);
+                };
+                transaction.onerror = () => {
+                    database.close();
+                    reject(transaction.error);
+                };
+            })
+    );
+}
+
+/**
+ * Create a random idempotency key.
+ *
+ * @private
+ * @returns {string}
+ */
+function createIdempotencyKey() {
+    if (typeof crypto !== "undefined" && crypto.getRandomValues) {
+        return Array.prototype.map
+            .call(crypto.getRandomValues(new Uint8Array(16)), byte =>
+                (byte + 256).toString(16).substr(1)
+            )
+            .join("");
+    }
+
+    return `${Date.now().toString(16)}${Math.random()
+        .toString(16)
+        .substr(2)}`;
+}
+
+/**
+ * Tell everyone who cares that the status of a submission has changed. In the Service Worker the news is posted to
+ * every open page, which then triggers the event.
+ *
+ * @private
+ * @param {string} status - `"pending"`, `"sent"` or `"failed"`.
+ * @param {QueuedSubmission} submission
+ * @param {object} [details={}] - Anything else to add to the event detail, ie. the response status.
+ */
+function notifyStatus(status, submission, details = {}) {
+    const detail = {
+        status,
+        id: submission.id,
+        formId: submission.formId,
+        submission,
+        ...details
+    };
+
+    if (typeof window !== "undefined") {
+        window.dispatchEvent(
+            new window.CustomEvent(submissionStatusEventName, { detail })
+        );
+        return;
+    }
+
+    // eslint-disable-next-line no-restricted-globals
+    self.clients.matchAll().then(clients =>
+        clients.forEach(client =>
+            client.postMessage({
+                messageCommand: statusMessageCommand,
+                messageData: detail
+            })
+        )
+    );
+}
+
+/**
+ * Ask the Service Worker (if there is one) to flush the queue through Background Sync when the browser is online.
+ *
+ * @private
+ * @returns {Promise<boolean>} Resolves with `true` if Background Sync was registered.
+ */
+function requestBackgroundSync() {
+    if (typeof window === "undefined" || !("serviceWorker" in navigator)) {
+        return Promise.resolve(false);
+    }
+
+    return navigator.serviceWorker
+        .getRegistration()
+        .then(registration => {
+            if (!registration || !registration.sync) {
+                return false;
+            }
+
+            return registration.sync
+                .register(submissionSyncTag)
+                .then(() => true);
+        })
+        .catch(() => false);
+}
+
+/**
+ * Get every submission in the queue, oldest first.
+ *
+ * @returns {Promise<QueuedSubmission[]>}
+ */
+export function getQueuedSubmissions() {
+    return runTransaction("readonly", store =>
+        store.getAll()
+    ).then(submissions =>
+        submissions.sort((a, b) => a.createdAt - b.createdAt)
+    );
+}
+
+/**
+ * Turn the entries of a submission into a string that can be compared to the entries of another one. Files would all
+ * be serialized as `{}`, so they're described by their name, size, type and modification time instead.
+ *
+ * @private
+ * @param {Array} entries
+ * @returns {string}
+ */
+function serializeEntries(entries) {
+    return JSON.stringify(
+        entries.map(([name, value]) => {
+            if (typeof Blob !== "undefined" && value instanceof Blob) {
+                return [
+                    name,
+                    {
+                        file: value.name,
+                        size: value.size,
+                        type: value.type,
+                        lastModified: value.lastModified
+                    }
+                ];
+            }
+
+            return [name, value];
+        })
+    );
+}
+
+/**
+ * Add a submission to the queue. If the same data from the same form is already waiting to be sent, that
+ * submission is reused.
+ *
+ * @param {object} submission
+ * @param {string} submission.url - Where to send it.
+ * @param {string} [submission.method="POST"]
+ * @param {Object<string, string>} [submission.headers={}]
+ * @param {Array} submission.entries - The form data as `[name, value]` pairs.
+ * @param {string} [submission.formId] - ID (or name) of the form it came from.
+ * @returns {Promise<string>} Resolves with the idempotency key of the submission.
+ */
+export function queueSubmission({
+    url,
+    method = "POST",
+    headers = {},
+    entries,
+    formId
+}) {
+    return getQueuedSubmissions().then(submissions => {
+        const serializedEntries = serializeEntries(entries);
+        const duplicate = submissions.filter(
+            submission =>
+                submission.formId === formId &&
+                submission.url === url &&
+                serializeEntries(submission.entries) === serializedEntries
+        )[0];
+
+        if (duplicate) {
+            return duplicate.id;
+        }
+
+        const submission = {
+            id: createIdempotencyKey(),
+            url,
+            method: method.toUpperCase(),
+            headers,
+            entries,
+            formId,
+            createdAt: Date.now(),
+            attempts: 0
+        };
+
+        return runTransaction("readwrite", store => store.put(submission))
+            .then(() => {
+                notifyStatus("pending", submission);
+                return requestBackgroundSync();
+            })
+            .then(() => submission.id);
+    });
+}
+
+/**
+ * Build the request for a submission.
+ *
+ * @private
+ * @param {QueuedSubmission} submission
+ * @returns {{url: string, options: object}}
+ */
+function buildRequest(submission) {
+    const headers = {
+        ...submission.headers,
+        [idempotencyHeaderName]: submission.id
+    };
+
+    if (submission.method === "GET") {
+        const query = submission.entries
+            .map(
+                ([name, value]) =>
+                    `${encodeURIComponent(name)}=${encodeURIComponent(value)}`
+            )
+            .join("&");
+
+        return {
+            url: `${submission.url}${
+                submission.url.indexOf("?") > -1 ? "&" : "?"
+            }${query}`,
+            options: { method: "GET", headers, credentials: "same-origin" }
+        };
+    }
+
+    const body = new FormData();
+    submission.entries.forEach(([name, value]) => body.append(name, value));
+
+    return {
+        url: submission.url,
+        options: {
+            method: submission.method,
+            headers,
+            body,
+            credentials: "same-origin"
+        }
+    };
+}
+
+/**
+ * Send a single submission, and update the queue according to how it went.
+ *
+ * @private
+ * @param {QueuedSubmission} submission
+ * @returns {Promise<string>} Resolves with `"sent"`, `"failed"`, `"retry"` if it's kept for another try, or `"offline"` if the network is down, so there's no point in trying the rest.
+ */
+function sendSubmission(submission) {
+    const { url, options } = buildRequest(submission);
+
+    return fetch(url, options).then(
+        response => {
+            const { status } = response;
+
+            // 409 means the server has already received this one
+            if (response.ok || status === 409) {
+                return runTransaction("readwrite", store =>
+                    store.delete(submission.id)
+                ).then(() => {
+                    notifyStatus("sent", submission, {
+                        responseStatus: status
+                    });
+                    return "sent";
+                });
+            }
+
+            // Timeouts, rate limits and server errors might go away by themselves, so we'll try again later
+            const isTemporary =
+                status === 408 || status === 429 || status >= 500;
+            const attempts = submission.attempts + 1;
+
+            if (isTemporary && attempts < maxAttempts) {
+                return runTransaction("readwrite", store =>
+                    store.put({ ...submission, attempts })
+                ).then(() => "retry");
+            }
+
+            return runTransaction("readwrite", store =>
+                store.delete(submission.id)
+            ).then(() => {
+                notifyStatus("failed", submission, { responseStatus: status });
+                return "failed";
+            });
+        },
+        // fetch() only rejects when the request couldn't be made at all, ie. when we're offline again
+        () => "offline"
+    );
+}
+
+/**
+ * Send every submission in the queue, one at a time and oldest first. Calling this while it's already running
+ * returns the flush in progress.
+ *
+ * @returns {Promise<{isOffline: boolean, retries: number}>} Resolves with whether the network went down on the way, and the number of submissions kept for another try.
+ */
+export function flushSubmissionQueue() {
+    if (!isSubmissionQueueSupported()) {
+        return Promise.resolve({ isOffline: false, retries: 0 });
+    }
+
+    if (!flushPromise) {
+        const result = { isOffline: false, retries: 0 };
+
+        flushPromise = getQueuedSubmissions()
+            .then(submissions =>
+                submissions.reduce(
+                    (previous, submission) =>
+                        previous.then(() => {
+                            if (result.isOffline) {
+                                return undefined;
+                            }
+
+                            return sendSubmission(submission).then(outcome => {
+                                result.isOffline = outcome === "offline";
+                                result.retries += outcome === "retry" ? 1 : 0;
+                            });
+                        }),
+                    Promise.resolve()
+                )
+            )
+            .then(
+                () => {
+                    flushPromise = null;
+                    return result;
+                },
+                error => {
+                    flushPromise = null;
+                    throw error;
+                }
+            );
+    }
+
+    return flushPromise;
+}
+
+/**
+ * Flush the queue now, if the browser is online, and every time it comes back online. Calling this more than once
+ * does nothing, so every form using the queue can call it.
+ */
+export function flushSubmissionQueueWhenOnline() {
+    if (
+        isFlushingWhenOnline ||
+        typeof window === "undefined" ||
+        !isSubmissionQueueSupported()
+    ) {
+        return;
+    }
+
+    isFlushingWhenOnline = true;
+
+    // IndexedDB can fail to open (ie. in private mode), which is nothing to bother the user with
+    const flush = () =>
+        flushSubmissionQueue().catch(error =>
+            window.console.error(
+                "[submissionQueue.js] Could not send the queued submissions:",
+                error
+            )
+        );
+
+    window.addEventListener("online", flush);
+
+    if (navigator.onLine) {
+        void flush();
+    }
+}
+
+/**
+ * Handle the `sync` event in the Service Worker.
+ *
+ * @param {Event} event - The `sync` event.
+ */
+export function handleSubmissionSync(event) {
+    if (event.tag === submissionSyncTag) {
+        event.waitUntil(
+            flushSubmissionQueue().then(({ isOffline, retries }) => {
+                // The browser only retries a sync by itself when the network fails, so ask for another one when the
+                // server was having trouble
+                if (retries) {
+                    // eslint-disable-next-line no-restricted-globals
+                    void self.registration.sync
+                        .register(submissionSyncTag)
+                        .catch(() => undefined);
+                }
+
+                // Failing the sync tells the browser that submissions are still waiting
+                if (isOffline || retries) {
+                    throw new Error(
+                        "[submissionQueue.js] Some submissions couldn't be sent yet."
+                    );
+                }
+            })
+        );
+    }
+}
+
+// Pass on status changes reported by the Service Worker as events on the page.
+if (typeof window !== "undefined" && "serviceWorker" in navigator) {
+    navigator.serviceWorker.addEventListener("message", event => {
+        if (event.data && event.data.messageCommand === statusMessageCommand) {
+            window.dispatchEvent(
+                new window.CustomEvent(submissionStatusEventName, {
+                    detail: event.data.messageData
+                })
+            );
+        }
+    });
+}
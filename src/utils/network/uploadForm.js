@@ -0,0 +1,199 @@
+/**
+ * **Upload a form, and keep track of the progress of every file in it.**<br>
+ * `fetch()` can't report upload progress, so this uses a good old XMLHttpRequest. The browser only reports the
+ * progress of the request as a whole, so the progress of each file is estimated from where it is in the request.
+ *
+ * If the server answers with an error, the promise rejects with `{ status, response, fieldErrors }`. The field errors
+ * are taken from a JSON response like `{ "fieldErrors": { "avatar": "That's not a picture of you." } }`, so the
+ * rejection can be handed straight to `FormValidate`. If the upload fails, is aborted or times out, it rejects with an
+ * error. Either way, `onProgress` is called one last time with every file marked as `failed`.
+ *
+ * @module utils/network/uploadForm
+ *
+ * @example
+ * import { uploadForm } from "./utils/network/uploadForm";
+ *
+ * uploadForm(formElement, {
+ *     onProgress: files => files.forEach(({ file, loaded, total }) =>
+ *         window.console.log(`${file.name}: ${Math.round((loaded / total) * 100)}%`)
+ *     )
+ * }).then(request => window.console.log("Done!", request.responseText));
+ */
+
+/**
+ * The progress of a single file.
+ *
+ * @typedef {object} FileUploadProgress
+ * @property {File} file
+ * @property {HTMLInputElement} field - The input the file was chosen in.
+ * @property {number} loaded - Bytes uploaded so far.
+ * @property {number} total - The size of the file.
+ * @property {boolean} failed - Whether the upload failed.
+ */
+
+/**
+ * Get every file in a form, in the order they'll appear in the request.
+ *
+ * @private
+ * @param {HTMLFormElement} form
+ * @returns {FileUploadProgress[]}
+ */
+function getFiles(form) {
+    const files = [];
+    const fields = form.querySelectorAll("input[type=file][name]");
+
+    for (let i = 0; i < fields.length; i += 1) {
+        const field = fields[i];
+
+        if (!field.disabled && field.files) {
+            for (let j = 0; j < field.files.length; j += 1) {
+                const file = field.files[j];
+                files.push({
+                    file,
+                    field,
+                    loaded: 0,
+                    total: file.size,
+                    failed: false
+                });
+            }
+        }
+    }
+
+    return files;
+}
+
+/**
+ * Parse the JSON response of a request, if it is one.
+ *
+ * @private
+ * @param {XMLHttpRequest} request
+ * @returns {*}
+ */
+function parseResponse(request) {
+    try {
+        return JSON.parse(request.responseText);
+    } catch (error) {
+        return request.responseText;
+    }
+}
+
+/**
+ * Upload a form.
+ *
+ * @param {HTMLFormElement} form
+ * @param {object} [options]
+ * @param {string} [options.url] - Where to send it. Defaults to the form's `action`.
+ * @param {string} [options.method] - Defaults to the form's `method`, or `"POST"`.
+ * @param {Object<string, string>} [options.headers={}]
+ * @param {FormData} [options.body] - The data to send. Defaults to the data of the form.
+ * @param {function} [options.onProgress] - Called with an array of `FileUploadProgress` objects every time the browser reports progress.
+ * @param {number} [options.timeout=0] - Time in ms before giving up on the upload. `0` means no time limit.
+ * @returns {Promise<XMLHttpRequest>} Resolves with the finished request, if the server answers with a 2xx status.
+ */
+export function uploadForm(
+    form,
+    { url, method, headers = {}, body, onProgress, timeout = 0 } = {}
+) {
+    const files = getFiles(form);
+    const filesSize = files.reduce((sum, { total }) => sum + total, 0);
+    const target = url || form.action;
+
+    return new Promise((resolve, reject) => {
+        const request = new XMLHttpRequest();
+
+        // Let the callback know the files didn't make it, before giving up
+        const fail = error => {
+            if (typeof onProgress === "function") {
+                onProgress(
+                    files.map(fileProgress => ({
+                        ...fileProgress,
+                        failed: true
+                    }))
+                );
+            }
+
+            reject(error);
+        };
+
+        request.open(
+            (method || form.getAttribute("method") || "POST").toUpperCase(),
+            target,
+            true
+        );
+        request.timeout = timeout;
+
+        Object.keys(headers).forEach(name =>
+            request.setRequestHeader(name, headers[name])
+        );
+
+        if (typeof onProgress === "function" && request.upload) {
+            request.upload.onprogress = event => {
+                if (!event.lengthComputable || !event.total) {
+                    return;
+                }
+
+                // The request also contains the other fields and the multipart boundaries, so scale the progress
+                // to the size of the files, and hand it out to them in order.
+                let uploadedOfFiles = (event.loaded / event.total) * filesSize;
+
+                files.forEach(fileProgress => {
+                    const loaded = Math.min(
+                        fileProgress.total,
+                        Math.max(0, uploadedOfFiles)
+                    );
+
+                    fileProgress.loaded = Math.round(loaded);
+                    uploadedOfFiles -= fileProgress.total;
+                });
+
+                onProgress(files.map(fileProgress => ({ ...fileProgress })));
+            };
+        }
+
+        request.onload = () => {
+            if (request.status >= 200 && request.status < 300) {
+                if (typeof onProgress === "function") {
+                    files.forEach(fileProgress => {
+                        fileProgress.loaded = fileProgress.total;
+                    });
+                    onProgress(
+                        files.map(fileProgress => ({ ...fileProgress }))
+                    );
+                }
+
+                resolve(request);
+                return;
+            }
+
+            const response = parseResponse(request);
+
+            fail({
+                status: request.status,
+                response,
+                fieldErrors:
+                    response && typeof response === "object"
+                        ? response.fieldErrors
+                        : undefined
+            });
+        };
+
+        request.onerror = () =>
+            fail(
+                new Error(
+                    `[uploadForm.js] Could not upload the form to ${target}`
+                )
+            );
+        request.onabort = () =>
+            fail(
+                new Error(
+                    `[uploadForm.js] The upload to ${target} was aborted.`
+                )
+            );
+        request.ontimeout = () =>
+            fail(
+                new Error(`[uploadForm.js] The upload to ${target} timed out.`)
+            );
+
+        request.send(body || new FormData(form));
+    });
+}
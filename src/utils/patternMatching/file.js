@@ -0,0 +1,110 @@
+/**
+ * **Check files against the usual constraints of a file input.**
+ * Accepted types (as in the `accept` attribute), file sizes and image dimensions.
+ *
+ * @module utils/patternMatching/file
+ *
+ * @example <caption>Checking a file chosen by the user:</caption>
+ * import { isFileTypeAccepted, parseFileSize } from "./utils/patternMatching/file";
+ *
+ * const file = fileInput.files[0];
+ *
+ * if (isFileTypeAccepted(file, "image/*, .pdf") && file.size <= parseFileSize("5MB")) {
+ *     // We'll take it
+ * }
+ */
+
+import { loadImage } from "../network/loadImage";
+
+const fileSizeUnits = ["B", "KB", "MB", "GB"];
+
+/**
+ * Check whether a file is of an accepted type.
+ *
+ * @param {File} file
+ * @param {string} accept - The accepted types, as in the `accept` attribute: MIME types (`"application/pdf"`), wildcards (`"image/*"`) and file extensions (`".pdf"`), separated by commas.
+ * @returns {boolean}
+ */
+export function isFileTypeAccepted(file, accept) {
+    const fileName = file.name.toLowerCase();
+    const fileType = (file.type || "").toLowerCase();
+
+    return accept
+        .toLowerCase()
+        .split(",")
+        .map(type => type.trim())
+        .filter(type => type)
+        .some(type => {
+            if (type.charAt(0) === ".") {
+                return fileName.substr(fileName.length - type.length) === type;
+            }
+
+            if (type.substr(-2) === "/*") {
+                return fileType.indexOf(type.slice(0, -1)) === 0;
+            }
+
+            return fileType === type;
+        });
+}
+
+/**
+ * Turn a file size like `"5MB"` or `"500 kB"` into bytes. A kilobyte is 1024 bytes.
+ *
+ * @param {string|number} size - The size. Plain numbers are bytes.
+ * @returns {number} The size in bytes, or `NaN` if it couldn't be parsed.
+ */
+export function parseFileSize(size) {
+    const match = String(size)
+        .trim()
+        .match(/^(\d+(?:\.\d+)?)\s*([kmg]?b)?$/i);
+
+    if (!match) {
+        return NaN;
+    }
+
+    const unit = (match[2] || "B").toUpperCase();
+
+    return Math.round(
+        parseFloat(match[1]) * Math.pow(1024, fileSizeUnits.indexOf(unit))
+    );
+}
+
+/**
+ * Turn a number of bytes into something readable, like `"4.8 MB"`.
+ *
+ * @param {number} bytes
+ * @returns {string}
+ */
+export function formatFileSize(bytes) {
+    let size = bytes;
+    let unitIndex = 0;
+
+    while (size >= 1024 && unitIndex < fileSizeUnits.length - 1) {
+        size /= 1024;
+        unitIndex += 1;
+    }
+
+    return `${Math.round(size * 10) / 10} ${fileSizeUnits[unitIndex]}`;
+}
+
+/**
+ * Get the dimensions of an image file.
+ *
+ * @param {File} file
+ * @returns {Promise<{width: number, height: number}>} Rejects if the file isn't an image the browser can read.
+ */
+export function getImageDimensions(file) {
+    const url = URL.createObjectURL(file);
+    const revoke = () => URL.revokeObjectURL(url);
+
+    return loadImage(url).then(
+        image => {
+            revoke();
+            return { width: image.naturalWidth, height: image.naturalHeight };
+        },
+        () => {
+            revoke();
+            throw new Error(`Could not read the image "${file.name}".`);
+        }
+    );
+}
@@ -6,6 +6,8 @@
  * @author Lars Munkholm <lars.munkholm@akqa.com>
  */
 
+import { formatList, getMessage } from "../i18n/messages";
+
 /**
  * These are the properties that can be set in the `options` objects of the password RegExp generator, that specify your
  * requirements to validate the password.
@@ -38,6 +40,32 @@
  */
 export const specialCharacters = " !\"#$%&'()*+,./:;<=>?@[]\\^_`{|}~¨-";
 
+/**
+ * Get the password options with the defaults filled in.
+ *
+ * @private
+ * @param {PasswordOptions} options
+ * @returns {PasswordOptions}
+ */
+function getPasswordOptions(options) {
+    return {
+        minLength: 8,
+        maxLength: undefined,
+        minDigits: 1,
+        maxDigits: undefined,
+        minLowercase: 1,
+        maxLowercase: undefined,
+        minUppercase: 1,
+        maxUppercase: undefined,
+        minSpecial: 1,
+        maxSpecial: undefined,
+        specialChars: specialCharacters,
+        forbiddenChars: " ",
+        acceptUnicode: false,
+        ...options
+    };
+}
+
 /**
  * Generate a regular expression to validate passwords with.
  *
@@ -58,22 +86,7 @@ export const specialCharacters = " !\"#$%&'()*+,./:;<=>?@[]\\^_`{|}~¨-";
  * }));
  */
 export function passwordRegex(options = {}) {
-    const passwordOptions = {
-        minLength: 8,
-        maxLength: undefined,
-        minDigits: 1,
-        maxDigits: undefined,
-        minLowercase: 1,
-        maxLowercase: undefined,
-        minUppercase: 1,
-        maxUppercase: undefined,
-        minSpecial: 1,
-        maxSpecial: undefined,
-        specialChars: specialCharacters,
-        forbiddenChars: " ",
-        acceptUnicode: false,
-        ...options
-    };
+    const passwordOptions = getPasswordOptions(options);
 
     const hasMaxLength = typeof passwordOptions.maxLength === "number";
     const hasMaxDigits = typeof passwordOptions.maxDigits === "number";
@@ -159,6 +172,69 @@ export function isPasswordValid(password, options) {
     );
 }
 
+/**
+ * Describe the requirements for a valid password, ie. to show next to the password field or as its error message.
+ * The text comes from the message catalogue, so it follows the locale.
+ *
+ * @param {PasswordOptions} [options={}] - The same options given to `passwordRegex()`.
+ * @param {string} [locale] - The locale to use. Defaults to the one set with `setLocale()` in `utils/i18n/messages`.
+ * @returns {string} The requirements, ie. "Please include at least 8 characters, at least 1 number and no spaces."
+ *
+ * @example
+ * import { passwordRequirements } from "./utils/patternMatching/password";
+ *
+ * passwordInput.dataset.requirementsMessage = passwordRequirements({ minLength: 10, minSpecial: 0 });
+ */
+export function passwordRequirements(options = {}, locale) {
+    const passwordOptions = getPasswordOptions(options);
+    const requirements = [];
+
+    if (typeof passwordOptions.maxLength === "number") {
+        requirements.push(
+            getMessage("password.lengthRange", passwordOptions, locale)
+        );
+    } else if (passwordOptions.minLength > 0) {
+        requirements.push(
+            getMessage("password.minLength", passwordOptions, locale)
+        );
+    }
+
+    ["Uppercase", "Lowercase", "Digits", "Special"].forEach(type => {
+        const min = passwordOptions[`min${type}`];
+        const max = passwordOptions[`max${type}`];
+
+        if (min > 0) {
+            requirements.push(
+                getMessage(`password.min${type}`, { count: min }, locale)
+            );
+        }
+
+        if (typeof max === "number") {
+            requirements.push(
+                getMessage(`password.max${type}`, { count: max }, locale)
+            );
+        }
+    });
+
+    if (passwordOptions.forbiddenChars === " ") {
+        requirements.push(getMessage("password.noSpaces", {}, locale));
+    } else if (passwordOptions.forbiddenChars) {
+        requirements.push(
+            getMessage(
+                "password.forbiddenChars",
+                { chars: passwordOptions.forbiddenChars },
+                locale
+            )
+        );
+    }
+
+    return getMessage(
+        "password.requirements",
+        { requirements: formatList(requirements, locale) },
+        locale
+    );
+}
+
 /**
  * @type {function}
  * @ignore
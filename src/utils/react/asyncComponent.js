@@ -5,6 +5,7 @@
  * @author Yomi Eluwande (@yomieluwande)
  * @author Anders Gissel <anders.gissel@akqa.com>
  * @module utils/react/asyncComponent
+ * @deprecated Replaced by lazyComponent, which adds retries, timeouts, preloading and custom loading/error components.
  * @see https://scotch.io/tutorials/lazy-loading-routes-in-react
  *
  *
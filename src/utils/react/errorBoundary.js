@@ -0,0 +1,73 @@
+/**
+ * Error boundary for React
+ *
+ * Catches errors thrown while rendering anything inside it, and renders a fallback instead of taking down the
+ * entire React tree. The `reactBootstrapper` wraps every element it renders in one of these, but it can just as well
+ * be used on its own.
+ *
+ * @module utils/react/errorBoundary
+ *
+ * @example
+ * <caption>
+ * Show a message with a retry button, and report the error:
+ * </caption>
+ * import { ErrorBoundary } from "./utils/react/errorBoundary";
+ *
+ * <ErrorBoundary
+ *     fallback={({ error, reset }) => (
+ *         <p>
+ *             Something went wrong. <button onClick={reset}>Try again</button>
+ *         </p>
+ *     )}
+ *     onError={(error, { componentStack }) => errorTracker.send(error, componentStack)}
+ * >
+ *     <Carousel />
+ * </ErrorBoundary>
+ */
+
+import { Component } from "react";
+import PropTypes from "prop-types";
+
+export class ErrorBoundary extends Component {
+    static propTypes = {
+        fallback: PropTypes.oneOfType([PropTypes.node, PropTypes.func]),
+        onError: PropTypes.func,
+        children: PropTypes.node
+    };
+
+    static defaultProps = {
+        fallback: null
+    };
+
+    state = {
+        error: null
+    };
+
+    static getDerivedStateFromError(error) {
+        return { error };
+    }
+
+    componentDidCatch(error, info) {
+        if (this.props.onError) {
+            this.props.onError(error, info);
+        }
+    }
+
+    /**
+     * Forget about the error, and try rendering the children again.
+     */
+    reset = () => this.setState({ error: null });
+
+    render() {
+        const { error } = this.state;
+        const { fallback, children } = this.props;
+
+        if (!error) {
+            return children;
+        }
+
+        return typeof fallback === "function"
+            ? fallback({ error, reset: this.reset })
+            : fallback;
+    }
+}
@@ -0,0 +1,771 @@
+/**
+ * React bindings for `FormValidate`.
+ *
+ * `FormValidate` takes over a form element and writes its error messages straight into the DOM, which doesn't mix
+ * with React. These bindings use the same rules (`required`, `pattern`, `data-validate`, `data-validate-async` and so
+ * on) and the same messages, but keep the values, errors, touched and dirty state in React state instead. Just like with
+ * the vanilla class, submissions made while offline are saved in LocalStorage (or queued with `offlineQueue`) and
+ * restored on the next visit, and `autosave` saves a draft while the user edits the form.
+ *
+ * @module utils/react/formValidate
+ *
+ * @example
+ * <caption>
+ * With the components:
+ * </caption>
+ * import { Field, FieldError, ValidatedForm } from "./utils/react/formValidate";
+ *
+ * const SignupForm = () => (
+ *     <ValidatedForm id="signup" onSubmit={values => api.signup(values)}>
+ *         <Field name="email" type="email" label="E-mail" required />
+ *         <Field name="password" type="password" label="Password" required />
+ *         <Field name="confirmPassword" type="password" label="Repeat password" data-confirms="password" required />
+ *
+ *         <Field name="plan" type="radio" value="free" label="Free" required />
+ *         <Field name="plan" type="radio" value="pro" label="Pro" required />
+ *         <FieldError name="plan" />
+ *
+ *         <button type="submit">Sign up</button>
+ *     </ValidatedForm>
+ * );
+ *
+ * @example
+ * <caption>
+ * With the hook, for full control over the markup:
+ * </caption>
+ * import { useFormValidate } from "./utils/react/formValidate";
+ *
+ * const NewsletterForm = () => {
+ *     const { formProps, getFieldProps, errors, isSubmitting, submitError } = useFormValidate({
+ *         onSubmit: values => api.subscribe(values.email)
+ *     });
+ *
+ *     return (
+ *         <form id="newsletter" {...formProps}>
+ *             <input {...getFieldProps("email", { type: "email" })} required />
+ *             {errors.email && <p>{errors.email}</p>}
+ *             {submitError && <p role="alert">Something went wrong. Please try again.</p>}
+ *             <button disabled={isSubmitting}>Subscribe</button>
+ *         </form>
+ *     );
+ * };
+ */
+
+import React, {
+    createContext,
+    useContext,
+    useEffect,
+    useRef,
+    useState
+} from "react";
+import PropTypes from "prop-types";
+import {
+    collectFormData,
+    getFieldError,
+    getStorageId,
+    loadFormData,
+    queueFormSubmission,
+    removeFormData,
+    saveFormData,
+    validateFieldAsync
+} from "../formValidate";
+import {
+    flushSubmissionQueueWhenOnline,
+    isSubmissionQueueSupported
+} from "../network/submissionQueue";
+import { filter } from "../filter";
+import { forEach } from "../forEach";
+
+/**
+ * @typedef {object} UseFormValidateOptions
+ * @property {Object<string, string>} [initialValues={}] - The initial values, by field name.
+ * @property {function} [onSubmit] - Called with the values and the form element when the valid form is submitted. If it returns a promise that rejects with `{ fieldErrors }`, those errors are shown on the fields. Any other rejection ends up in `submitError` - as does an async validator that fails, in which case the form isn't sent.
+ * @property {function} [whenOffline] - Called when the valid form is submitted while the browser is offline. Receives the idempotency key if the submission was queued.
+ * @property {boolean} [saveDataWhenOffline=true] - Save the values in LocalStorage when the form is submitted while offline, and restore them on the next visit.
+ * @property {boolean} [autosave=false] - Save a draft of the values in LocalStorage while the user edits the form, and restore it on the next visit.
+ * @property {number} [autosaveDelay=1000] - Time in ms to wait after the last change before saving the draft.
+ * @property {boolean|Object} [offlineQueue=false] - Queue submissions made while offline. See the `offlineQueue` option of `FormValidate`.
+ * @property {string} [locale] - The locale of the messages.
+ * @property {PasswordOptions} [password] - The requirements for passwords.
+ */
+
+const FormValidateContext = createContext(null);
+
+const fieldSelector = "input, select, textarea";
+const errorMessageIdPrefix = "error-for-";
+const classNames = {
+    validField: "form-validate__field--valid",
+    invalidField: "form-validate__field--invalid",
+    errorMessage: "form-validate__error-message"
+};
+
+/**
+ * Get the value of a field the way it's kept in state. Unchecked checkboxes are empty.
+ *
+ * @private
+ * @param {HTMLInputElement|HTMLSelectElement|HTMLTextAreaElement} field
+ * @returns {string}
+ */
+function getFieldValue(field) {
+    if (field.type === "checkbox") {
+        return field.checked ? field.value : "";
+    }
+
+    return field.value;
+}
+
+/**
+ * Get the names of the fields in a form, in the order they appear.
+ *
+ * @private
+ * @param {HTMLFormElement} form
+ * @returns {string[]}
+ */
+function getFieldNames(form) {
+    const names = [];
+
+    forEach(form.querySelectorAll(fieldSelector), field => {
+        if (field.name && names.indexOf(field.name) === -1) {
+            names.push(field.name);
+        }
+    });
+
+    return names;
+}
+
+/**
+ * Validate a form with the rules and messages of `FormValidate`, and keep track of its state.
+ *
+ * Spread `formProps` on the `<form>`, and `getFieldProps(name)` on every field. The form needs an `id` (or a `name`)
+ * for its values to be saved in LocalStorage.
+ *
+ * @param {UseFormValidateOptions} [options]
+ * @returns {{values: Object, errors: Object, touched: Object, dirty: Object, isDirty: boolean, isSubmitting: boolean, submitError: *, formProps: Object, getFieldProps: function, setFieldErrors: function, reset: function}}
+ */
+export function useFormValidate({
+    initialValues = {},
+    onSubmit,
+    whenOffline,
+    saveDataWhenOffline = true,
+    offlineQueue = false,
+    autosave = false,
+    autosaveDelay = 1000,
+    locale,
+    password
+} = {}) {
+    const formRef = useRef(null);
+    const storageIdRef = useRef(null);
+    const asyncRunsRef = useRef({});
+    const isMountedRef = useRef(false);
+    const isSubmittingRef = useRef(false);
+    const [values, setValues] = useState(initialValues);
+    const [errors, setErrors] = useState({});
+    const [touched, setTouched] = useState({});
+    const [isSubmitting, setIsSubmitting] = useState(false);
+    const [submitError, setSubmitError] = useState(null);
+    const [isRestored, setIsRestored] = useState(false);
+
+    // Event handlers and promises need the latest state, not the state from when they were created.
+    const stateRef = useRef();
+    stateRef.current = { values, errors, touched };
+
+    // The effects below only run on mount or when the values change, so they read the options from here.
+    const optionsRef = useRef();
+    optionsRef.current = {
+        saveDataWhenOffline,
+        offlineQueue,
+        autosave,
+        autosaveDelay
+    };
+
+    const dirty = {};
+    forEach(values, (value, name) => {
+        const initialValue =
+            typeof initialValues[name] === "undefined"
+                ? ""
+                : String(initialValues[name]);
+
+        if (String(value) !== initialValue) {
+            dirty[name] = true;
+        }
+    });
+    const isDirty = Object.keys(dirty).length > 0;
+
+    const getField = name => formRef.current.querySelector(`[name="${name}"]`);
+
+    const validateField = name =>
+        getFieldError(getField(name), {
+            form: formRef.current,
+            locale,
+            password
+        });
+
+    const setFieldError = (name, error) =>
+        setErrors(currentErrors => {
+            const newErrors = { ...currentErrors };
+
+            if (error) {
+                newErrors[name] = error;
+            } else {
+                delete newErrors[name];
+            }
+
+            return newErrors;
+        });
+
+    const focusFirstError = fieldErrors => {
+        const fieldWithError = filter(
+            formRef.current.querySelectorAll(fieldSelector),
+            field => !!fieldErrors[field.name]
+        )[0];
+
+        if (fieldWithError) {
+            fieldWithError.focus();
+        }
+    };
+
+    /**
+     * Show errors (ie. from the server) on the fields, and move focus to the first one.
+     *
+     * @param {Object<string, string>} fieldErrors - Error messages, by field name.
+     */
+    const setFieldErrors = fieldErrors => {
+        setErrors(currentErrors => ({ ...currentErrors, ...fieldErrors }));
+        focusFirstError(fieldErrors);
+    };
+
+    const validateAsync = name => {
+        const field = getField(name);
+
+        if (!field || !field.dataset.validateAsync) {
+            return Promise.resolve(false);
+        }
+
+        // Only the latest run for a field gets to set its error
+        const run = (asyncRunsRef.current[name] || 0) + 1;
+        asyncRunsRef.current[name] = run;
+
+        return validateFieldAsync(field, { locale }).then(error => {
+            if (
+                isMountedRef.current &&
+                asyncRunsRef.current[name] === run &&
+                !validateField(name)
+            ) {
+                setFieldError(name, error);
+            }
+
+            return error;
+        });
+    };
+
+    const saveValues = () => {
+        if (storageIdRef.current !== null) {
+            saveFormData(
+                storageIdRef.current,
+                collectFormData(
+                    formRef.current.querySelectorAll(fieldSelector),
+                    formRef.current
+                )
+            );
+        }
+    };
+
+    const removeValues = () => {
+        if (storageIdRef.current !== null) {
+            removeFormData(storageIdRef.current);
+        }
+    };
+
+    const send = () => {
+        const form = formRef.current;
+
+        if (typeof onSubmit !== "function") {
+            return undefined;
+        }
+
+        if (!navigator.onLine && offlineQueue && isSubmissionQueueSupported()) {
+            // The queue takes it from here, so don't refill the form with the same data on the next visit
+            removeValues();
+
+            return queueFormSubmission(form, offlineQueue).then(
+                id => {
+                    if (typeof whenOffline === "function") {
+                        whenOffline(id);
+                    }
+                },
+                error => {
+                    // IndexedDB can be unavailable (ie. in private mode) - fall back to storing the values
+                    window.console.error(
+                        "[formValidate.js] Could not queue the submission:",
+                        error
+                    );
+
+                    if (saveDataWhenOffline) {
+                        saveValues();
+                    }
+                }
+            );
+        }
+
+        if (!navigator.onLine && saveDataWhenOffline) {
+            saveValues();
+
+            if (typeof whenOffline === "function") {
+                whenOffline();
+            }
+            return undefined;
+        }
+
+        removeValues();
+
+        return Promise.resolve(onSubmit(stateRef.current.values, form)).then(
+            undefined,
+            error => {
+                if (!isMountedRef.current) {
+                    return;
+                }
+
+                if (error && error.fieldErrors) {
+                    setFieldErrors(error.fieldErrors);
+                } else {
+                    setSubmitError(error);
+                }
+            }
+        );
+    };
+
+    const handleChange = event => {
+        const field = event.target;
+        const { name } = field;
+        const {
+            errors: currentErrors,
+            touched: currentTouched
+        } = stateRef.current;
+
+        setValues(currentValues => ({
+            ...currentValues,
+            [name]: getFieldValue(field)
+        }));
+
+        // Fields that have already been validated are validated again right away, so errors disappear as soon as
+        // they're fixed. That includes fields depending on this one, ie. through "data-confirms".
+        forEach(Object.keys(currentTouched), touchedName => {
+            setFieldError(touchedName, validateField(touchedName));
+        });
+
+        if (currentErrors[name] && !currentTouched[name]) {
+            setFieldError(name, validateField(name));
+        }
+    };
+
+    const handleBlur = event => {
+        const { name } = event.target;
+
+        // Ignore blur events caused by clicking a submit button
+        if (event.relatedTarget && event.relatedTarget.type === "submit") {
+            return;
+        }
+
+        setTouched(currentTouched => ({ ...currentTouched, [name]: true }));
+
+        const error = validateField(name);
+        setFieldError(name, error);
+
+        if (!error) {
+            // A failing validator is reported when the form is submitted
+            void validateAsync(name).catch(asyncError =>
+                window.console.error(
+                    "[formValidate.js] Could not validate the field:",
+                    asyncError
+                )
+            );
+        }
+    };
+
+    const handleSubmit = event => {
+        event.preventDefault();
+
+        if (isSubmittingRef.current) {
+            return;
+        }
+
+        const names = getFieldNames(formRef.current);
+        const newTouched = {};
+        const newErrors = {};
+
+        forEach(names, name => {
+            const error = validateField(name);
+
+            newTouched[name] = true;
+            if (error) {
+                newErrors[name] = error;
+            }
+        });
+
+        setTouched(newTouched);
+        setErrors(newErrors);
+
+        if (Object.keys(newErrors).length) {
+            focusFirstError(newErrors);
+            return;
+        }
+
+        const done = () => {
+            isSubmittingRef.current = false;
+
+            if (isMountedRef.current) {
+                setIsSubmitting(false);
+            }
+        };
+
+        isSubmittingRef.current = true;
+        setIsSubmitting(true);
+        setSubmitError(null);
+
+        // Wait for the async validators (if any) before sending
+        Promise.all(names.map(validateAsync))
+            .then(asyncErrors => {
+                const asyncErrorsByName = {};
+
+                forEach(asyncErrors, (error, index) => {
+                    if (error) {
+                        asyncErrorsByName[names[index]] = error;
+                    }
+                });
+
+                if (!isMountedRef.current) {
+                    return undefined;
+                }
+
+                if (Object.keys(asyncErrorsByName).length) {
+                    focusFirstError(asyncErrorsByName);
+                    return undefined;
+                }
+
+                return send();
+            })
+            .then(done, error => {
+                done();
+
+                // ie. an async validator that couldn't reach the server, or onSubmit failing
+                if (isMountedRef.current) {
+                    setSubmitError(error);
+                }
+            });
+    };
+
+    /**
+     * Go back to the initial values, and forget about errors and the values saved in LocalStorage.
+     */
+    const reset = () => {
+        setValues(initialValues);
+        setErrors({});
+        setTouched({});
+        setSubmitError(null);
+        removeValues();
+    };
+
+    // Restore the values saved in LocalStorage on an earlier visit
+    useEffect(() => {
+        const form = formRef.current;
+
+        if (!form) {
+            throw new Error(
+                "[formValidate.js] useFormValidate() needs its formProps to be spread on a <form>."
+            );
+        }
+
+        isMountedRef.current = true;
+
+        const options = optionsRef.current;
+
+        // Send queued submissions (from this visit or an earlier one) whenever we're online
+        if (options.offlineQueue) {
+            flushSubmissionQueueWhenOnline();
+        }
+
+        // The storage ID is based on the fields rendered the first time, so this only runs on mount.
+        if (options.saveDataWhenOffline || options.autosave) {
+            storageIdRef.current = getStorageId(
+                form.id || form.getAttribute("name") || "",
+                getFieldNames(form)
+            );
+
+            const data = loadFormData(storageIdRef.current);
+            const restoredValues = {};
+
+            forEach(data || {}, (value, name) => {
+                const field = form.querySelector(`[name="${name}"]`);
+
+                // Leave out the same fields as FormValidate does
+                if (
+                    field &&
+                    !field.disabled &&
+                    ["file", "reset", "hidden", "password", "submit"].indexOf(
+                        field.type
+                    ) === -1
+                ) {
+                    restoredValues[name] = value;
+                }
+            });
+
+            setValues(currentValues => ({
+                ...currentValues,
+                ...restoredValues
+            }));
+        }
+
+        setIsRestored(true);
+
+        return () => {
+            isMountedRef.current = false;
+        };
+    }, []);
+
+    // With autosave, save a draft once the user takes a break - or forget it, if the values are back to the initial ones
+    useEffect(() => {
+        const storageId = storageIdRef.current;
+
+        if (!isRestored || !optionsRef.current.autosave || storageId === null) {
+            return undefined;
+        }
+
+        const timer = window.setTimeout(() => {
+            const form = formRef.current;
+
+            if (!isDirty) {
+                removeFormData(storageId);
+            } else if (form) {
+                saveFormData(
+                    storageId,
+                    collectFormData(form.querySelectorAll(fieldSelector), form)
+                );
+            }
+        }, optionsRef.current.autosaveDelay);
+
+        return () => window.clearTimeout(timer);
+    }, [isRestored, isDirty, values]);
+
+    /**
+     * Get the props for a field.
+     *
+     * @param {string} name
+     * @param {object} [options]
+     * @param {string} [options.type] - The type of the input, ie. `"checkbox"`.
+     * @param {string} [options.value] - The value of a checkbox or radio button.
+     * @returns {Object}
+     */
+    const getFieldProps = (name, { type, value: optionValue } = {}) => {
+        const error = errors[name];
+        const currentValue =
+            typeof values[name] === "undefined" ? "" : values[name];
+        const props = {
+            name,
+            type,
+            onChange: handleChange,
+            onBlur: handleBlur,
+            "aria-invalid": error ? true : undefined,
+            "aria-describedby": error
+                ? `${errorMessageIdPrefix}${name}`
+                : undefined
+        };
+
+        if (type === "checkbox" || type === "radio") {
+            const fieldValue =
+                typeof optionValue === "undefined" ? "on" : optionValue;
+
+            return {
+                ...props,
+                value: fieldValue,
+                checked: currentValue === fieldValue
+            };
+        }
+
+        return { ...props, value: currentValue };
+    };
+
+    return {
+        values,
+        errors,
+        touched,
+        dirty,
+        isDirty,
+        isSubmitting,
+        submitError,
+        formProps: {
+            ref: formRef,
+            noValidate: true,
+            onSubmit: handleSubmit
+        },
+        getFieldProps,
+        setFieldErrors,
+        reset
+    };
+}
+
+/**
+ * Get the form from the nearest `ValidatedForm`.
+ *
+ * @private
+ * @returns {Object}
+ */
+function useValidatedForm() {
+    const form = useContext(FormValidateContext);
+
+    if (!form) {
+        throw new Error(
+            "[formValidate.js] Fields must be used inside a <ValidatedForm>."
+        );
+    }
+
+    return form;
+}
+
+/**
+ * A form validated with `useFormValidate()`. Takes the same options as the hook as props, and passes every other prop
+ * on to the `<form>`. The children can be a function, which receives everything the hook returns.
+ *
+ * @param {UseFormValidateOptions} props
+ */
+export const ValidatedForm = ({
+    initialValues,
+    onSubmit,
+    whenOffline,
+    saveDataWhenOffline,
+    offlineQueue,
+    autosave,
+    autosaveDelay,
+    locale,
+    password,
+    children,
+    ...props
+}) => {
+    const form = useFormValidate({
+        initialValues,
+        onSubmit,
+        whenOffline,
+        saveDataWhenOffline,
+        offlineQueue,
+        autosave,
+        autosaveDelay,
+        locale,
+        password
+    });
+
+    return (
+        <FormValidateContext.Provider value={form}>
+            <form {...props} {...form.formProps}>
+                {typeof children === "function" ? children(form) : children}
+            </form>
+        </FormValidateContext.Provider>
+    );
+};
+
+ValidatedForm.propTypes = {
+    initialValues: PropTypes.object,
+    onSubmit: PropTypes.func,
+    whenOffline: PropTypes.func,
+    saveDataWhenOffline: PropTypes.bool,
+    offlineQueue: PropTypes.oneOfType([PropTypes.bool, PropTypes.object]),
+    autosave: PropTypes.bool,
+    autosaveDelay: PropTypes.number,
+    locale: PropTypes.string,
+    password: PropTypes.object,
+    children: PropTypes.oneOfType([PropTypes.node, PropTypes.func])
+};
+
+/**
+ * The error message of a field, if it has one. `Field` shows this by itself, except for radio buttons - a group of
+ * those only needs one.
+ *
+ * @param {object} props
+ * @param {string} props.name - The name of the field.
+ */
+export const FieldError = ({ name }) => {
+    const { errors } = useValidatedForm();
+
+    return errors[name] ? (
+        <div
+            className={classNames.errorMessage}
+            id={`${errorMessageIdPrefix}${name}`}
+        >
+            {errors[name]}
+        </div>
+    ) : null;
+};
+
+FieldError.propTypes = {
+    name: PropTypes.string.isRequired
+};
+
+/**
+ * A field in a `ValidatedForm`, with its label and error message. Every other prop (ie. `required`, `pattern` or
+ * `data-validate`) is passed on to the field.
+ *
+ * @param {object} props
+ * @param {string} props.name
+ * @param {string} [props.label]
+ * @param {string} [props.as="input"] - The element to render, ie. `"select"` or `"textarea"`.
+ * @param {string} [props.type]
+ * @param {string} [props.value] - The value of a checkbox or radio button.
+ */
+export const Field = ({
+    name,
+    label,
+    as: Element,
+    type,
+    value,
+    id,
+    className,
+    children,
+    ...props
+}) => {
+    const form = useValidatedForm();
+    const fieldId = id || (type === "radio" ? `${name}-${value}` : name);
+    const isCheckable = type === "checkbox" || type === "radio";
+    let stateClassName = "";
+
+    if (form.errors[name]) {
+        stateClassName = classNames.invalidField;
+    } else if (form.touched[name]) {
+        stateClassName = classNames.validField;
+    }
+
+    const labelElement = label ? (
+        <label htmlFor={fieldId}>{label}</label>
+    ) : null;
+
+    return (
+        <>
+            {!isCheckable && labelElement}
+            <Element
+                id={fieldId}
+                className={
+                    [className, stateClassName].filter(Boolean).join(" ") ||
+                    undefined
+                }
+                {...props}
+                {...form.getFieldProps(name, { type, value })}
+            >
+                {children}
+            </Element>
+            {isCheckable && labelElement}
+            {type !== "radio" && <FieldError name={name} />}
+        </>
+    );
+};
+
+Field.propTypes = {
+    name: PropTypes.string.isRequired,
+    label: PropTypes.node,
+    as: PropTypes.string,
+    type: PropTypes.string,
+    value: PropTypes.string,
+    id: PropTypes.string,
+    className: PropTypes.string,
+    children: PropTypes.node
+};
+
+Field.defaultProps = {
+    as: "input"
+};
@@ -0,0 +1,249 @@
+/**
+ * Lazy-loaded components for React, built on `React.lazy()` and `<Suspense>`.
+ *
+ * Replaces `asyncComponent`. On top of what that one does, the loading indicator and error message can be swapped for
+ * your own components, the loading indicator is only shown if loading takes a while (so fast connections don't get a
+ * flash of it), slow attempts time out, and failed chunk downloads are retried with exponential backoff before giving
+ * up. The component can also be preloaded ahead of time, ie. when the user hovers a link leading to it.
+ *
+ * @module utils/react/lazyComponent
+ *
+ * @example <caption>Basic usage:</caption>
+ * import { lazyComponent } from "./utils/react/lazyComponent";
+ *
+ * const Gallery = lazyComponent(() => import("./components/gallery/Gallery"));
+ *
+ * // And then, wherever you want:
+ * <Gallery images={images} />
+ *
+ *
+ * @example <caption>Your own loading and error components, and preloading on hover:</caption>
+ * import { lazyComponent } from "./utils/react/lazyComponent";
+ *
+ * const Gallery = lazyComponent(() => import("./components/gallery/Gallery"), {
+ *     loading: Spinner,
+ *     error: ({ error, retry }) => <button onClick={retry}>Could not load the gallery. Try again?</button>,
+ *     delay: 300,
+ *     timeout: 5000,
+ *     retries: 2
+ * });
+ *
+ * <button onMouseEnter={Gallery.preload} onClick={openGallery}>Show gallery</button>
+ */
+
+import React, { Suspense, useEffect, useState } from "react";
+import PropTypes from "prop-types";
+import { ErrorBoundary } from "./errorBoundary";
+
+/**
+ * @typedef {object} LazyComponentOptions
+ * @property {function} [loading] - Component to show while loading.
+ * @property {function} [error] - Component to show if loading fails. Receives the `error` and a `retry` function as props. Errors thrown while rendering the loaded component are passed on to the next error boundary instead.
+ * @property {number} [delay=200] - How long to wait (in ms) before showing the loading component.
+ * @property {number} [timeout=10000] - How long (in ms) a single attempt to load may take before it is given up on.
+ * @property {number} [retries=3] - How many times to try again if loading fails.
+ * @property {number} [retryDelay=500] - How long to wait (in ms) before the first retry. Doubled for every retry after that.
+ */
+
+const DefaultLoading = () => <div>Loading component...</div>;
+
+const DefaultError = ({ error, retry }) => (
+    <aside>
+        Could not load component!
+        <br />
+        <small>{error.toString()}</small>
+        <br />
+        <button type="button" onClick={retry}>
+            Try again
+        </button>
+    </aside>
+);
+
+DefaultError.propTypes = {
+    error: PropTypes.any.isRequired,
+    retry: PropTypes.func.isRequired
+};
+
+/**
+ * Render the children, but only after the given delay.
+ *
+ * @private
+ */
+const Delayed = ({ delay, children }) => {
+    const [isVisible, setIsVisible] = useState(delay <= 0);
+
+    useEffect(() => {
+        if (isVisible) {
+            return undefined;
+        }
+
+        const timer = window.setTimeout(() => setIsVisible(true), delay);
+        return () => window.clearTimeout(timer);
+    }, [delay, isVisible]);
+
+    return isVisible ? children : null;
+};
+
+/**
+ * Make a promise reject if it hasn't settled within the given time.
+ *
+ * @private
+ * @param {Promise} promise
+ * @param {number} timeout - Time in ms. `0` disables the timeout.
+ * @returns {Promise}
+ */
+function withTimeout(promise, timeout) {
+    if (!timeout) {
+        return promise;
+    }
+
+    return new Promise((resolve, reject) => {
+        const timer = window.setTimeout(
+            () => reject(new Error(`Loading timed out after ${timeout}ms`)),
+            timeout
+        );
+
+        promise.then(
+            value => {
+                window.clearTimeout(timer);
+                resolve(value);
+            },
+            error => {
+                window.clearTimeout(timer);
+                reject(error);
+            }
+        );
+    });
+}
+
+/**
+ * Call the load function, and keep trying with an increasing delay if it fails.
+ *
+ * @private
+ * @param {function} load
+ * @param {number} timeout
+ * @param {number} retries - Retries left.
+ * @param {number} retryDelay - Delay before the next retry.
+ * @returns {Promise}
+ */
+function loadWithRetry(load, timeout, retries, retryDelay) {
+    return withTimeout(load(), timeout).catch(error => {
+        if (retries <= 0) {
+            throw error;
+        }
+
+        return new Promise(resolve =>
+            window.setTimeout(resolve, retryDelay)
+        ).then(() => loadWithRetry(load, timeout, retries - 1, retryDelay * 2));
+    });
+}
+
+/**
+ * The errors made by `createLoadError()`, so they can be told from errors thrown by the loaded component itself.
+ *
+ * @private
+ * @type {WeakSet<Error>}
+ */
+const loadErrors = new WeakSet();
+
+/**
+ * Wrap an error from loading a component, so the error boundary knows it should show the error component.
+ *
+ * @private
+ * @param {*} reason - Whatever the load function rejected with.
+ * @returns {Error}
+ */
+function createLoadError(reason) {
+    const error = new Error(
+        `[lazyComponent.js] Could not load component: ${reason}`
+    );
+
+    error.reason = reason;
+    loadErrors.add(error);
+
+    return error;
+}
+
+/**
+ * Create a lazy-loaded component.
+ *
+ * @param {function} load - Function returning a promise for the component, or for a module with the component as its default export (ie. `() => import("./Component")`).
+ * @param {LazyComponentOptions} [options]
+ * @returns {function} The component. Call its `preload()` method to start loading it ahead of time.
+ */
+export function lazyComponent(
+    load,
+    {
+        loading: Loading = DefaultLoading,
+        error: ErrorComponent = DefaultError,
+        delay = 200,
+        timeout = 10000,
+        retries = 3,
+        retryDelay = 500
+    } = {}
+) {
+    let loadPromise = null;
+
+    const preload = () => {
+        if (!loadPromise) {
+            loadPromise = loadWithRetry(
+                load,
+                timeout,
+                retries,
+                retryDelay
+            ).then(module => ({
+                default: module.default ? module.default : module
+            }));
+
+            // Forget about failures, so the next attempt starts over.
+            loadPromise.catch(() => {
+                loadPromise = null;
+            });
+        }
+
+        return loadPromise;
+    };
+
+    const lazyLoad = () =>
+        preload().catch(error => {
+            throw createLoadError(error);
+        });
+
+    // React.lazy() remembers a failure forever, so we'll need a new one if the user wants to try again.
+    let LoadedComponent = React.lazy(lazyLoad);
+
+    const LazyComponent = props => (
+        <ErrorBoundary
+            fallback={({ error, reset }) => {
+                // Errors thrown by the loaded component are none of our business - pass them on to the next boundary.
+                if (!loadErrors.has(error)) {
+                    throw error;
+                }
+
+                return (
+                    <ErrorComponent
+                        error={error.reason}
+                        retry={() => {
+                            LoadedComponent = React.lazy(lazyLoad);
+                            reset();
+                        }}
+                    />
+                );
+            }}
+        >
+            <Suspense
+                fallback={
+                    <Delayed delay={delay}>
+                        <Loading />
+                    </Delayed>
+                }
+            >
+                <LoadedComponent {...props} />
+            </Suspense>
+        </ErrorBoundary>
+    );
+
+    LazyComponent.preload = preload;
+
+    return LazyComponent;
+}
@@ -5,7 +5,7 @@
  * The React bootstrapper is used to instantiate React Elements with support for both bundled and code splitted React Modules.
  * It is primarily designed to allow us to use "dumb" React Elements in a CMS-like setup.
  *
- * Each React Element will be isolated and can only share state with children if the children is rendered in the actual React root Element.
+ * Each React Element will be isolated and can only share state with children if the children is rendered in the actual React root Element - unless you pass along global providers (see the examples).
  * Props can be passed to a React Element by using the special `<script type="text/props">` tag with some JSON inside it. Since props are parsed from JSON it is possible to use the PropTypes library and validation.
  * Descendants of a to-be-bootstrapped React Element will be detected and passed along as children, unless the descendant itself is a to-be-bootstrapped React Element - in which case a new tree is started.
  *
@@ -49,11 +49,108 @@
  *     LazyText,
  *     Text,
  * });
+ *
+ * @example
+ * <caption>
+ * Attributes are passed along as strings, unless the component declares a `propsSchema` (in the same format as the
+ * `optionsSchema` of `utils/moduleOptions`). Props in the schema are then converted to the right type, whether they
+ * come from attributes or the `<script type="text/props">`, and validated. Attributes can be written in camelCase or
+ * kebab-case. If a required prop is missing or malformed, the element is left alone and an error is logged.
+ * </caption>
+ * {@lang js}
+ * // <div data-react-element="Carousel" max-items="3" autoplay></div>
+ *
+ * const Carousel = ({ maxItems, autoplay, effect }) => { ... };
+ *
+ * Carousel.propsSchema = {
+ *     maxItems: { type: "number", required: true },
+ *     autoplay: { type: "boolean", default: false },
+ *     effect: { type: "string", default: "slide", oneOf: ["slide", "fade"] }
+ * };
+ *
+ * @example
+ * <caption>
+ * Server-rendered markup: if the CMS has already rendered the component's markup (ie. with `ReactDOMServer.renderToString()`),
+ * add the `data-react-hydrate` attribute, and the markup will be hydrated with `ReactDOM.hydrate()` instead of thrown away.
+ * The markup inside the element is then treated as the output of the component, not as its children, and the
+ * `<script type="text/props">` must be a direct child of the element - it is removed before hydrating.
+ * In development, React warns in the console about any mismatch between the server markup and the client render, and
+ * patches the markup to match the client render.
+ * </caption>
+ * {@lang html}
+ * <div data-react-element="Text" data-react-hydrate>
+ *     <script type="text/props">
+ *         {"message": "Hello World, I was server-rendered!"}
+ *     </script>
+ *     <p class="text">Hello World, I was server-rendered!</p>
+ * </div>
+ *
+ * @example
+ * <caption>
+ * To hydrate every element, instead of marking them one by one:
+ * </caption>
+ * {@lang js}
+ * reactBootstrapper({ Text }, document, { hydrate: true });
+ *
+ * @example
+ * <caption>
+ * Since every element is its own React tree, they can't share state through React alone. Pass a list of providers
+ * (store, theme, i18n etc.) and every element will be wrapped in them. A provider is either a component, or an
+ * array of `[component, props]`. Providers are wrapped outermost first.
+ * </caption>
+ * {@lang js}
+ * import { createStore, StoreProvider } from "./utils/react/store";
+ *
+ * const store = createStore({ cartCount: 0 });
+ *
+ * reactBootstrapper({ MiniCart, ProductTile }, document, {
+ *     providers: [
+ *         [StoreProvider, { store }],
+ *         [ThemeContext.Provider, { value: theme }],
+ *         I18nProvider
+ *     ]
+ * });
+ *
+ * @example
+ * <caption>
+ * Elements can be torn down by triggering the bootstrapper's destroy event on them - just like vanilla modules - or
+ * re-rendered in place with new props, ie. for CMS live previews. New props are merged into the current ones.
+ * Calling `reactBootstrapper()` again after swapping out parts of the page will only start the new elements.
+ * </caption>
+ * {@lang js}
+ * import { destroyEventName } from "./utils/bootstrapper";
+ * import { triggerCustomEvent } from "./utils/events/triggerCustomEvent";
+ * import { updateReactElement } from "./utils/react/reactBootstrapper";
+ *
+ * const element = document.querySelector('[data-react-element="Text"]');
+ *
+ * updateReactElement(element, { message: "Hello again!" });
+ *
+ * // Unmount the React Element before removing the markup
+ * triggerCustomEvent(element, destroyEventName);
+ * element.parentNode.removeChild(element);
+ *
+ * @example
+ * <caption>
+ * Every element is wrapped in an error boundary, so one crashing element (or one that can't be loaded) doesn't take
+ * anything else down with it. By default the markup the element started out with - ie. the server-rendered HTML - is
+ * put back in place, and the error is logged to the console. Both can be changed:
+ * </caption>
+ * {@lang js}
+ * reactBootstrapper({ Text }, document, {
+ *     errorFallback: ({ error, reset }) => <p>Sorry, this part of the page is broken.</p>,
+ *     onError: ({ error, elementName, props, componentStack }) =>
+ *         errorTracker.send(error, { elementName, props, componentStack })
+ * });
  */
 
 import React from "react";
 import ReactDOM from "react-dom";
 import { forEach } from "../forEach";
+import { isArray } from "../typeCheckers";
+import { destroyEventName } from "../events/eventNames";
+import { convertOptions } from "../moduleOptions";
+import { ErrorBoundary } from "./errorBoundary";
 
 // List of "nodes" which cant contain textContent
 const VOID_ELEMENTS = [
@@ -77,6 +174,10 @@ const VOID_ELEMENTS = [
 
 const REACT_ELEMENT_IDENTIFIER = "data-react-element";
 const REACT_PROPS_SCRIPT_IDENTIFIER = `type="text/props"`;
+const REACT_HYDRATE_IDENTIFIER = "data-react-hydrate";
+
+// Every element we've rendered into, along with what we rendered - so it can be updated or unmounted later on
+const mountedRoots = new Map();
 
 /**
  * Returns a React module or a string to be used in React.createElement
@@ -115,17 +216,60 @@ function getElement(node, targetList) {
     }
 }
 
+/**
+ * Convert and validate props according to a props schema. Attribute names are lowercased by the browser, so props
+ * in the schema are looked up both by their lowercased and kebab-cased names.
+ *
+ * @param {HTMLElement|Element} node
+ * @param {object} props - The props as read from the attributes and `<script type="text/props">`
+ * @param {object} propsSchema - Map of prop names and their definitions (see `utils/moduleOptions`)
+ * @returns {object} The converted props
+ * @throws {Error} If the props don't validate
+ *
+ * @ignore
+ */
+function applyPropsSchema(node, props, propsSchema) {
+    const values = { ...props };
+
+    forEach(propsSchema, (definition, propName) => {
+        const attributeNames = [
+            propName.toLowerCase(),
+            propName.replace(/[A-Z]/g, match => `-${match.toLowerCase()}`)
+        ];
+
+        forEach(attributeNames, attributeName => {
+            if (node.hasAttribute(attributeName)) {
+                delete values[attributeName];
+                values[propName] = node.getAttribute(attributeName);
+            }
+        });
+    });
+
+    const { options, problems } = convertOptions(values, propsSchema);
+
+    if (problems.length) {
+        throw new Error(
+            `Invalid props for ${REACT_ELEMENT_IDENTIFIER}="${node.getAttribute(
+                REACT_ELEMENT_IDENTIFIER
+            )}": ${problems.join("; ")}.`
+        );
+    }
+
+    return { ...values, ...options };
+}
+
 /**
  * Sanitizes common DOM element attributes into a props object - any immediate descending `<script type="text/props">` will be parsed from JSON and added to the props
  *
  * @since 3.8.0
  * @param {HTMLElement|Element} node
  * @param {string} reactKey - Value to be used for the special key prop
+ * @param {object} [propsSchema] - Schema to convert and validate the props by
  * @returns {{key: *}}
  *
  * @ignore
  */
-function prepareProps(node, reactKey) {
+function prepareProps(node, reactKey, propsSchema) {
     // We always provide the `props.key` - this allows us to create react elements from normal DOM nodes - without this React will cry because of non-unique siblings / children
     const props = {
         key: reactKey
@@ -155,6 +299,7 @@ function prepareProps(node, reactKey) {
             case "class":
             case "style":
             case "data-react-element":
+            case "data-react-hydrate":
                 // we dont want to pass these attributes as props
                 break;
             case "checked":
@@ -171,7 +316,7 @@ function prepareProps(node, reactKey) {
         return null;
     });
 
-    return props;
+    return propsSchema ? applyPropsSchema(node, props, propsSchema) : props;
 }
 
 /**
@@ -257,22 +402,37 @@ function prepareNode(node, targetList, level = 0, index = 0) {
                     // import Foo from 'Foo';
                     // Or a string:
                     // 'div'
-                    return getElement(node, targetList);
+                    return getElement(node, targetList).catch(error => {
+                        // Only the root has an error boundary. A nested element that can't be loaded is left out
+                        // instead, so it doesn't take the rest of the root down with it.
+                        if (level > 0) {
+                            window.console.error(error, node);
+                            return null;
+                        }
+
+                        return createBrokenComponent(error);
+                    });
                 })
-                .then(
-                    _element =>
-                        Promise.resolve(
-                            // Yay we are ready! Given a constructor function (or node name),
-                            // a set of props derived from the node attributes and `<script type="text/props">`,
-                            // and an tree of child React Elements / text nodes we can create a React Element which we can pass to the `ReactDOM.render` method!
-                            React.createElement(
-                                _element,
-                                prepareProps(node, key),
-                                children
-                            )
-                        ),
-                    window.console.error // Uncaught Promise rejection - no thanks!
-                );
+                .then(_element => {
+                    let props;
+
+                    if (!_element) {
+                        return null;
+                    }
+
+                    try {
+                        props = prepareProps(node, key, _element.propsSchema);
+                    } catch (error) {
+                        // Broken props - leave this one out, and tell the CMS author what's wrong and where
+                        window.console.error(error.message, node);
+                        return null;
+                    }
+
+                    // Yay we are ready! Given a constructor function (or node name),
+                    // a set of props derived from the node attributes and `<script type="text/props">`,
+                    // and an tree of child React Elements / text nodes we can create a React Element which we can pass to the `ReactDOM.render` method!
+                    return React.createElement(_element, props, children);
+                });
         }
         case 3: {
             // text node
@@ -310,22 +470,305 @@ function prepareNode(node, targetList, level = 0, index = 0) {
     }
 }
 
+/**
+ * Create a component that throws the given error when rendered. Used in place of root components that couldn't be
+ * loaded, so their error boundary can deal with them like any other error.
+ *
+ * @param {Error|string} error
+ * @returns {function}
+ *
+ * @ignore
+ */
+function createBrokenComponent(error) {
+    const BrokenComponent = () => {
+        throw error instanceof Error ? error : new Error(error);
+    };
+
+    return BrokenComponent;
+}
+
+/**
+ * Wrap a React Element in the given providers, so separate React trees can share the same store, theme etc.
+ *
+ * @param {object} reactElement
+ * @param {Array} providers - List of components, or `[component, props]` arrays
+ * @returns {object} The wrapped React Element
+ *
+ * @ignore
+ */
+function wrapInProviders(reactElement, providers) {
+    return providers.reduceRight((children, provider) => {
+        const [Provider, providerProps] = isArray(provider)
+            ? provider
+            : [provider, {}];
+
+        return React.createElement(Provider, providerProps, children);
+    }, reactElement);
+}
+
+/**
+ * Unmount the React Element rendered into the given node, and forget all about it. The node is left empty.
+ *
+ * @param {HTMLElement|Element} node - The `data-react-element` the React Element was rendered into
+ */
+export function unmountReactElement(node) {
+    const mountedRoot = mountedRoots.get(node);
+
+    if (!mountedRoot) {
+        return;
+    }
+
+    node.removeEventListener(destroyEventName, mountedRoot.destroyHandler);
+    mountedRoots.delete(node);
+    ReactDOM.unmountComponentAtNode(node);
+}
+
+/**
+ * Render (or hydrate) a registered root, wrapped in providers and an error boundary.
+ *
+ * @param {HTMLElement|Element} node
+ * @param {boolean} [hydrate=false]
+ *
+ * @ignore
+ */
+function renderRoot(node, hydrate = false) {
+    const { reactElement, options } = mountedRoots.get(node);
+    const wrappedReactElement = wrapInProviders(
+        React.createElement(
+            ErrorBoundary,
+            {
+                fallback: options.errorFallback,
+                onError: (error, { componentStack }) =>
+                    handleRenderError(node, error, componentStack)
+            },
+            reactElement
+        ),
+        options.providers
+    );
+
+    if (hydrate) {
+        ReactDOM.hydrate(wrappedReactElement, node);
+    } else {
+        ReactDOM.render(wrappedReactElement, node);
+    }
+}
+
+/**
+ * Report an error caught by the error boundary of a root. Unless a fallback has been given, the root is unmounted and
+ * the markup it started out with is put back in place.
+ *
+ * @param {HTMLElement|Element} node
+ * @param {Error} error
+ * @param {string} componentStack
+ *
+ * @ignore
+ */
+function handleRenderError(node, error, componentStack) {
+    const mountedRoot = mountedRoots.get(node);
+
+    if (!mountedRoot) {
+        return;
+    }
+
+    const { reactElement, options, originalHTML } = mountedRoot;
+
+    options.onError({
+        error,
+        elementName: node.getAttribute(REACT_ELEMENT_IDENTIFIER),
+        props: reactElement.props,
+        node,
+        componentStack
+    });
+
+    if (options.errorFallback === null) {
+        // A root can't be unmounted while React is still rendering it, so wait until it's done
+        window.setTimeout(() => {
+            if (mountedRoots.get(node) === mountedRoot) {
+                unmountReactElement(node);
+                node.innerHTML = originalHTML;
+            }
+        });
+    }
+}
+
+/**
+ * Keep track of a React Element that's about to be rendered, and unmount it when the bootstrapper's destroy event is
+ * triggered on the node. Must be called before rendering, so the original markup can be kept around.
+ *
+ * @param {HTMLElement|Element} node
+ * @param {object} reactElement - The React Element, before being wrapped in providers
+ * @param {object} options - The options given to the `reactBootstrapper`
+ *
+ * @ignore
+ */
+function registerRoot(node, reactElement, options) {
+    const destroyHandler = event => {
+        // Destroy events from nested modules are none of our business
+        if (event.target === node) {
+            // Don't let the event travel up the DOM tree and destroy something we'd need for later
+            event.stopPropagation();
+            unmountReactElement(node);
+        }
+    };
+
+    node.addEventListener(destroyEventName, destroyHandler);
+    mountedRoots.set(node, {
+        reactElement,
+        options,
+        originalHTML: node.innerHTML,
+        destroyHandler
+    });
+}
+
+/**
+ * Re-render a bootstrapped React Element in place with new props. The props are merged into the current props, the
+ * same way `React.cloneElement()` does it, and the component keeps its state.
+ *
+ * @param {HTMLElement|Element} node - The `data-react-element` the React Element was rendered into
+ * @param {object} props - The new props
+ */
+export function updateReactElement(node, props) {
+    const mountedRoot = mountedRoots.get(node);
+
+    if (!mountedRoot) {
+        throw new Error(
+            "Cannot update a React Element that hasn't been rendered by the reactBootstrapper (or has been unmounted again)"
+        );
+    }
+
+    mountedRoot.reactElement = React.cloneElement(
+        mountedRoot.reactElement,
+        props
+    );
+
+    renderRoot(node);
+}
+
+/**
+ * Hydrate server-rendered markup. Unlike `prepareNode` the descendants are not passed as children, since they are
+ * the (server-rendered) output of the React Element itself.
+ *
+ * @param {HTMLElement|Element} node
+ * @param {object} targetList - Map of imported React modules
+ * @param {object} options - The options given to the `reactBootstrapper`
+ * @returns {Promise}
+ *
+ * @ignore
+ */
+function hydrateNode(node, targetList, options) {
+    return getElement(node, targetList)
+        .catch(createBrokenComponent)
+        .then(_element => {
+            let props;
+
+            try {
+                props = prepareProps(node, "0-0", _element.propsSchema);
+            } catch (error) {
+                // Leave the server-rendered markup as it is
+                window.console.error(error.message, node);
+                return;
+            }
+
+            // The props script isn't part of the server-rendered output, and would only cause a mismatch.
+            // Copy the (live) list of children first, since we're removing from it.
+            forEach(Array.prototype.slice.call(node.children), child => {
+                if (
+                    child.nodeName.toLowerCase() === "script" &&
+                    child.getAttribute("type") === "text/props"
+                ) {
+                    node.removeChild(child);
+                }
+            });
+
+            registerRoot(node, React.createElement(_element, props), options);
+            renderRoot(node, true);
+        });
+}
+
+/**
+ * The default error reporter.
+ *
+ * @param {object} report
+ *
+ * @ignore
+ */
+function reportToConsole({ error, elementName, node }) {
+    window.console.error(
+        `${REACT_ELEMENT_IDENTIFIER}="${elementName}" crashed:`,
+        error,
+        node
+    );
+}
+
 /**
  * Recursively render React modules into the DOM starting from rootNode
  *
  * @since 3.8.0
  * @param {object} targetList - Map of imported React modules
  * @param {Document|Element} [rootNode=document] - Starting point to look for elements that should be "upgraded" to React Components
+ * @param {object} [options={}]
+ * @param {boolean} [options.hydrate=false] - Hydrate the server-rendered markup of every element, as if they all had the `data-react-hydrate` attribute.
+ * @param {Array} [options.providers=[]] - Providers to wrap every element in. Either components, or `[component, props]` arrays.
+ * @param {*} [options.errorFallback=null] - What to render instead of an element that crashes - a React node, or a function receiving `{ error, reset }`. By default the markup the element started out with is put back.
+ * @param {function} [options.onError] - Called with `{ error, elementName, props, node, componentStack }` when an element crashes or can't be loaded. Logs to the console by default.
  */
-export function reactBootstrapper(targetList, rootNode = document) {
+export function reactBootstrapper(
+    targetList,
+    rootNode = document,
+    {
+        hydrate = false,
+        providers = [],
+        errorFallback = null,
+        onError = reportToConsole
+    } = {}
+) {
+    const options = { providers, errorFallback, onError };
+
     const nodesToBootstrap = rootNode.querySelectorAll(
         `[${REACT_ELEMENT_IDENTIFIER}]`
     );
 
     // Traverse all [data-react-element]'s and render a React Element in it's place
-    forEach(nodesToBootstrap, nodeToBootstrap =>
-        prepareNode(nodeToBootstrap, targetList).then(preparedReactElement => {
-            ReactDOM.render(preparedReactElement, nodeToBootstrap);
-        })
-    );
+    forEach(nodesToBootstrap, nodeToBootstrap => {
+        // It's already running - and its markup is now the output of the React Element, not something to bootstrap
+        if (mountedRoots.has(nodeToBootstrap)) {
+            return;
+        }
+
+        // Anything inside server-rendered markup was rendered by the hydrated React Element, and is its responsibility.
+        const parentNode = nodeToBootstrap.parentElement;
+        if (
+            parentNode &&
+            parentNode.closest(
+                hydrate
+                    ? `[${REACT_ELEMENT_IDENTIFIER}]`
+                    : `[${REACT_HYDRATE_IDENTIFIER}]`
+            )
+        ) {
+            return;
+        }
+
+        if (hydrate || nodeToBootstrap.hasAttribute(REACT_HYDRATE_IDENTIFIER)) {
+            hydrateNode(nodeToBootstrap, targetList, options).catch(error =>
+                window.console.error(error, nodeToBootstrap)
+            );
+        } else {
+            prepareNode(nodeToBootstrap, targetList)
+                .then(preparedReactElement => {
+                    // Something went wrong, and has already been logged - leave the markup alone
+                    if (!preparedReactElement) {
+                        return;
+                    }
+
+                    registerRoot(
+                        nodeToBootstrap,
+                        preparedReactElement,
+                        options
+                    );
+                    renderRoot(nodeToBootstrap);
+                })
+                // ie. a child that couldn't be prepared, or a provider that crashed outside the error boundary
+                .catch(error => window.console.error(error, nodeToBootstrap));
+        }
+    });
 }
@@ -0,0 +1,516 @@
+/**
+ * Client-side router
+ *
+ * A small History API router for React applications mounted through the `reactBootstrapper`. Routes are defined as a
+ * (nested) array of plain objects, matched against `window.location.pathname`, and rendered from the outermost match
+ * and inwards - so a parent route component receives the matched child route as its `children`.
+ *
+ * Path segments starting with a colon (`:id`) are captured as params, and a single asterisk (`*`) captures the rest
+ * of the path. Routes that define `load` instead of `component` are code splitted through `lazyComponent`, so the
+ * chunk is only downloaded once the route is visited. If no route matches, the `notFound` component is rendered.
+ *
+ * Navigation happens through the `<Link>` component, or the `navigate()` function if you need to do it in code.
+ * Every router on the page listens for navigation, so you can have more than one if need be.
+ *
+ * @module utils/react/router
+ *
+ * @example
+ * <caption>
+ * Markup:
+ * </caption>
+ * {@lang html}
+ * <div data-react-element="App"></div>
+ *
+ * @example
+ * <caption>
+ * JavaScript:
+ * </caption>
+ * {@lang js}
+ * import { Router, Link } from "./utils/react/router";
+ *
+ * const routes = [
+ *     {
+ *         path: "/",
+ *         component: Layout,
+ *         children: [
+ *             { path: "", component: Home },
+ *             { path: "products/:productId", load: () => import("./views/Product") }
+ *         ]
+ *     }
+ * ];
+ *
+ * const App = () => <Router routes={routes} notFound={NotFound} />;
+ *
+ * // Inside Layout, Home or any other descendant:
+ * <Link to="/products/42">See product</Link>
+ *
+ * // And inside Product:
+ * const Product = ({ params }) => <h1>Product {params.productId}</h1>;
+ *
+ * reactBootstrapper({ App });
+ */
+
+import React, { createContext, useContext, useEffect, useState } from "react";
+import PropTypes from "prop-types";
+import { lazyComponent } from "./lazyComponent";
+import { addEvent, removeEvent } from "../events/events";
+import { triggerCustomEvent } from "../events/triggerCustomEvent";
+
+/**
+ * The event fired on `window` whenever `navigate()` changes the URL. The browser doesn't fire `popstate` on
+ * `pushState()` or `replaceState()`, so this is how the routers on the page find out.
+ *
+ * @type {string}
+ */
+export const routeChangeEventName = "akqa.router:routeChange";
+
+/**
+ * A route definition.
+ *
+ * @typedef {object} RouteDefinition
+ * @property {string} path - The path to match, relative to the parent route. Supports `:param` and `*` segments.
+ * @property {function} [component] - The component to render when the route matches.
+ * @property {function} [load] - A function returning an `import()` promise, for code splitted routes. Used instead of `component`.
+ * @property {RouteDefinition[]} [children] - Nested routes. The matched child is passed to `component` as `children`.
+ */
+
+/**
+ * The location object handed to route components and exposed by `useRouter()`.
+ *
+ * @typedef {object} RouterLocation
+ * @property {string} pathname
+ * @property {string} search
+ * @property {string} hash
+ * @property {*} state - The state passed along to `navigate()`, if any.
+ * @property {string} key - A unique key for the current history entry.
+ * @property {string} action - How we got here: `"PUSH"` and `"REPLACE"` for `navigate()`, `"POP"` for the initial page load and back/forward.
+ */
+
+const RouterContext = createContext(null);
+
+/**
+ * Cache of compiled path patterns.
+ *
+ * @private
+ * @type {Map<string, {regexp: RegExp, keys: string[]}>}
+ */
+const compiledPaths = new Map();
+
+/**
+ * Code splitted route components, created once per route definition so the loaded chunk is remembered.
+ *
+ * @private
+ * @type {WeakMap<RouteDefinition, function>}
+ */
+const lazyRouteComponents = new WeakMap();
+
+/**
+ * Create a reasonably unique key for a history entry.
+ *
+ * @private
+ * @returns {string}
+ */
+function createKey() {
+    return Math.random()
+        .toString(36)
+        .substr(2, 8);
+}
+
+/**
+ * Get the current location from the browser.
+ *
+ * @private
+ * @param {string} [action="POP"] - The kind of navigation that led to this location.
+ * @returns {RouterLocation}
+ */
+function getLocation(action = "POP") {
+    const { pathname, search, hash } = window.location;
+    const historyState = window.history.state;
+
+    return {
+        pathname,
+        search,
+        hash,
+        state: historyState ? historyState.state : null,
+        key: historyState && historyState.key ? historyState.key : "default",
+        action
+    };
+}
+
+/**
+ * Join a parent and a child path, making sure we end up with exactly one slash between them.
+ *
+ * @private
+ * @param {string} parentPath
+ * @param {string} childPath
+ * @returns {string}
+ */
+function joinPaths(parentPath, childPath) {
+    return `${parentPath}/${childPath}`.replace(/\/{2,}/g, "/");
+}
+
+/**
+ * Compile a path pattern into a regular expression, and remember the names of the params.
+ *
+ * @private
+ * @param {string} pattern
+ * @param {boolean} exact - Whether the entire pathname must match, or just the beginning of it.
+ * @returns {{regexp: RegExp, keys: string[]}}
+ */
+function compilePath(pattern, exact) {
+    const cacheKey = `${pattern}|${exact}`;
+
+    if (!compiledPaths.has(cacheKey)) {
+        const keys = [];
+        const source = pattern
+            .split("/")
+            .filter(Boolean)
+            .map(segment => {
+                if (segment === "*") {
+                    keys.push("*");
+                    return "/(.*)";
+                }
+
+                if (segment.charAt(0) === ":") {
+                    keys.push(segment.substr(1));
+                    return "/([^/]+)";
+                }
+
+                return `/${segment.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}`;
+            })
+            .join("");
+
+        compiledPaths.set(cacheKey, {
+            regexp: new RegExp(`^${source}${exact ? "/?$" : "(?:/|$)"}`, "i"),
+            keys
+        });
+    }
+
+    return compiledPaths.get(cacheKey);
+}
+
+/**
+ * Decode a param from the pathname. Malformed escape sequences (ie. `%E0%A4%A`) are left as they are, since a broken
+ * link shouldn't take the whole router down.
+ *
+ * @private
+ * @param {string} value
+ * @returns {string}
+ */
+function decodeParam(value) {
+    try {
+        return decodeURIComponent(value);
+    } catch (error) {
+        return value;
+    }
+}
+
+/**
+ * Match a path pattern against a pathname.
+ *
+ * @param {string} pattern - The pattern to match, ie. `/products/:productId`.
+ * @param {string} pathname - The pathname to match against, ie. `/products/42`.
+ * @param {boolean} [exact=true] - Whether the entire pathname must match, or just the beginning of it.
+ * @returns {object|null} An object of params (ie. `{ productId: "42" }`) if the path matches, otherwise `null`.
+ */
+export function matchPath(pattern, pathname, exact = true) {
+    const { regexp, keys } = compilePath(pattern, exact);
+    const match = regexp.exec(pathname);
+
+    if (!match) {
+        return null;
+    }
+
+    return keys.reduce((params, key, index) => {
+        params[key] = decodeParam(match[index + 1] || "");
+        return params;
+    }, {});
+}
+
+/**
+ * Find the chain of routes matching the given pathname, from the outermost route and inwards.
+ *
+ * @private
+ * @param {RouteDefinition[]} routes
+ * @param {string} pathname
+ * @param {string} [parentPath=""]
+ * @returns {{route: RouteDefinition, params: object}[]|null}
+ */
+function matchRoutes(routes, pathname, parentPath = "") {
+    for (let i = 0; i < routes.length; i += 1) {
+        const route = routes[i];
+        const fullPath = joinPaths(parentPath, route.path || "");
+
+        // Routes with children only need to match the beginning of the path - the children will take care of the rest.
+        if (route.children && route.children.length) {
+            const params = matchPath(fullPath, pathname, false);
+
+            if (params) {
+                const childMatches = matchRoutes(
+                    route.children,
+                    pathname,
+                    fullPath
+                );
+
+                if (childMatches) {
+                    return [{ route, params }, ...childMatches];
+                }
+            }
+        }
+
+        if (route.component || route.load) {
+            const params = matchPath(fullPath, pathname);
+
+            if (params) {
+                return [{ route, params }];
+            }
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Get the component to render for the given route, wrapping code splitted routes in `lazyComponent`.
+ *
+ * @private
+ * @param {RouteDefinition} route
+ * @returns {function}
+ */
+function getRouteComponent(route) {
+    if (route.component) {
+        return route.component;
+    }
+
+    if (!lazyRouteComponents.has(route)) {
+        lazyRouteComponents.set(route, lazyComponent(route.load));
+    }
+
+    return lazyRouteComponents.get(route);
+}
+
+/**
+ * Strip the basename from the beginning of a pathname.
+ *
+ * @private
+ * @param {string} pathname
+ * @param {string} basename
+ * @returns {string}
+ */
+function stripBasename(pathname, basename) {
+    if (
+        !basename ||
+        pathname.toLowerCase().indexOf(basename.toLowerCase()) !== 0
+    ) {
+        return pathname;
+    }
+
+    // Only whole segments count - "/shop" is the basename of "/shop/cart", but not of "/shopping/cart"
+    const nextCharacter = pathname.charAt(basename.length);
+
+    if (
+        nextCharacter &&
+        "/?#".indexOf(nextCharacter) === -1 &&
+        basename.charAt(basename.length - 1) !== "/"
+    ) {
+        return pathname;
+    }
+
+    return pathname.substr(basename.length) || "/";
+}
+
+/**
+ * Navigate to a new URL without reloading the page.
+ *
+ * @param {string} to - The URL to navigate to.
+ * @param {object} [options={}]
+ * @param {boolean} [options.replace=false] - Replace the current history entry instead of adding a new one.
+ * @param {*} [options.state] - Optional state to store with the history entry. Will be available as `location.state`.
+ */
+export function navigate(to, { replace = false, state = null } = {}) {
+    const historyState = { key: createKey(), state };
+
+    if (replace) {
+        window.history.replaceState(historyState, "", to);
+    } else {
+        window.history.pushState(historyState, "", to);
+    }
+
+    triggerCustomEvent(window, routeChangeEventName, { to, replace });
+}
+
+/**
+ * Get the router's current location, params and navigation function from any component rendered inside a `<Router>`.
+ *
+ * @returns {{location: RouterLocation, params: object, basename: string, navigate: function}}
+ */
+export function useRouter() {
+    return useContext(RouterContext);
+}
+
+/**
+ * The default "not found" view, used when no `notFound` component is given to the router.
+ *
+ * @private
+ */
+const DefaultNotFound = () => <h1>Page not found</h1>;
+
+/**
+ * Render the route that matches the current URL.
+ *
+ * @param {object} props
+ * @param {RouteDefinition[]} props.routes - The route definitions.
+ * @param {function} [props.notFound] - Component to render when no route matches.
+ * @param {string} [props.basename=""] - A base path to prefix all routes and links with, ie. `/shop`.
+ * @param {*} [props.children] - Rendered before the matched route, for things that need the router but not a route (ie. `<ScrollRestoration />`).
+ */
+export const Router = ({
+    routes,
+    notFound: NotFound = DefaultNotFound,
+    basename = "",
+    children
+}) => {
+    const [location, setLocation] = useState(() => getLocation());
+
+    useEffect(() => {
+        const updateLocation = event => {
+            if (event.type === routeChangeEventName) {
+                setLocation(
+                    getLocation(event.detail.replace ? "REPLACE" : "PUSH")
+                );
+            } else {
+                setLocation(getLocation());
+            }
+        };
+
+        addEvent(window, `popstate ${routeChangeEventName}`, updateLocation);
+
+        return () =>
+            removeEvent(
+                window,
+                `popstate ${routeChangeEventName}`,
+                updateLocation
+            );
+    }, []);
+
+    const matches = matchRoutes(
+        routes,
+        stripBasename(location.pathname, basename)
+    );
+
+    // Params from all levels are merged, so child routes can see the params of their parents and vice versa.
+    const params = matches
+        ? matches.reduce(
+              (allParams, match) => ({ ...allParams, ...match.params }),
+              {}
+          )
+        : {};
+
+    const context = {
+        location,
+        params,
+        basename,
+        navigate: (to, options) => navigate(`${basename}${to}`, options)
+    };
+
+    // Render from the innermost match and outwards, so every route gets the route below it as its children.
+    const content = matches ? (
+        matches.reduceRight(
+            (children, match) =>
+                React.createElement(
+                    getRouteComponent(match.route),
+                    { params, location },
+                    children
+                ),
+            null
+        )
+    ) : (
+        <NotFound location={location} />
+    );
+
+    return (
+        <RouterContext.Provider value={context}>
+            {children}
+            {content}
+        </RouterContext.Provider>
+    );
+};
+
+Router.propTypes = {
+    routes: PropTypes.arrayOf(
+        PropTypes.shape({
+            path: PropTypes.string.isRequired,
+            component: PropTypes.elementType,
+            load: PropTypes.func,
+            children: PropTypes.array
+        })
+    ).isRequired,
+    notFound: PropTypes.elementType,
+    basename: PropTypes.string,
+    children: PropTypes.node
+};
+
+/**
+ * Check whether a click was made with a modifier key, in which case the browser should handle it (ie. open in a new tab).
+ *
+ * @private
+ * @param {MouseEvent} event
+ * @returns {boolean}
+ */
+function isModifiedEvent(event) {
+    return Boolean(
+        event.metaKey || event.altKey || event.ctrlKey || event.shiftKey
+    );
+}
+
+/**
+ * Render a link that navigates through the router instead of reloading the page.
+ *
+ * @param {object} props
+ * @param {string} props.to - The URL to navigate to, relative to the router's basename.
+ * @param {boolean} [props.replace=false] - Replace the current history entry instead of adding a new one.
+ * @param {*} [props.state] - Optional state to store with the history entry.
+ */
+export const Link = ({
+    to,
+    replace = false,
+    state,
+    onClick,
+    children,
+    ...props
+}) => {
+    const router = useRouter();
+    const href = router ? `${router.basename}${to}` : to;
+
+    const handleClick = event => {
+        if (onClick) {
+            onClick(event);
+        }
+
+        // Leave modified clicks, other mouse buttons and links to other windows to the browser.
+        if (
+            !event.defaultPrevented &&
+            event.button === 0 &&
+            (!props.target || props.target === "_self") &&
+            !isModifiedEvent(event)
+        ) {
+            event.preventDefault();
+            navigate(href, { replace, state });
+        }
+    };
+
+    return (
+        <a {...props} href={href} onClick={handleClick}>
+            {children}
+        </a>
+    );
+};
+
+Link.propTypes = {
+    to: PropTypes.string.isRequired,
+    replace: PropTypes.bool,
+    state: PropTypes.any,
+    onClick: PropTypes.func,
+    children: PropTypes.node,
+    target: PropTypes.string
+};
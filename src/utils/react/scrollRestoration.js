@@ -0,0 +1,310 @@
+/**
+ * Scroll restoration and focus management for the router
+ *
+ * Render `<ScrollRestoration />` inside a `<Router>` and it will take care of what the browser would normally do on
+ * a full page load:
+ *
+ * - When the user goes back or forward, the scroll offset of that history entry is restored.
+ * - When navigating to a URL with a hash, the target element is scrolled into view, making room for a sticky header.
+ * - When navigating anywhere else, the page is scrolled to the top.
+ * - After navigating, focus is moved to the new view's main heading (or the hash target), so screen readers
+ *   announce the new content instead of staying on the link that was clicked.
+ *
+ * Scroll offsets are kept in `sessionStorage`, so they survive reloads and visits to other sites as well.
+ *
+ * @module utils/react/scrollRestoration
+ *
+ * @example
+ * <caption>
+ * Restore scroll positions, and keep anchor targets clear of a 60px tall sticky header:
+ * </caption>
+ * import { Router } from "./utils/react/router";
+ * import { ScrollRestoration } from "./utils/react/scrollRestoration";
+ *
+ * const App = () => (
+ *     <Router routes={routes}>
+ *         <ScrollRestoration headerOffset={60} />
+ *     </Router>
+ * );
+ *
+ * @example
+ * <caption>
+ * Measure the sticky header instead, and scroll smoothly over 500ms:
+ * </caption>
+ * <ScrollRestoration headerOffset=".site-header" duration={500} />
+ */
+
+import { useEffect, useRef } from "react";
+import PropTypes from "prop-types";
+import { useRouter } from "./router";
+import { scrollTo } from "../dom/scrollTo";
+import { getElementScroll } from "../dom/elementProperties";
+import { addEvent, removeEvent } from "../events/events";
+
+/**
+ * The key used for storing scroll offsets in `sessionStorage`.
+ *
+ * @private
+ * @type {string}
+ */
+const storageKey = "akqa.router:scrollPositions";
+
+/**
+ * How long to wait for an element to show up in the DOM, ie. when the route is still being lazy-loaded.
+ *
+ * @private
+ * @type {number}
+ */
+const elementWaitTimeoutMs = 2000;
+
+/**
+ * Read the stored scroll offsets.
+ *
+ * @private
+ * @returns {Object<string, {top: number, left: number}>}
+ */
+function readScrollPositions() {
+    try {
+        return JSON.parse(window.sessionStorage.getItem(storageKey)) || {};
+    } catch (error) {
+        // Storage might be disabled (private mode etc.) - we'll just keep the offsets in memory then.
+        return {};
+    }
+}
+
+/**
+ * Store the scroll offsets.
+ *
+ * @private
+ * @param {Object<string, {top: number, left: number}>} scrollPositions
+ */
+function writeScrollPositions(scrollPositions) {
+    try {
+        window.sessionStorage.setItem(
+            storageKey,
+            JSON.stringify(scrollPositions)
+        );
+    } catch (error) {
+        // See readScrollPositions()
+    }
+}
+
+/**
+ * Find the element a hash points to - either by ID or by the old-fashioned `<a name="...">`.
+ *
+ * @private
+ * @param {string} hash - The hash, including the `#`.
+ * @returns {Element|null}
+ */
+function getHashTarget(hash) {
+    const id = decodeURIComponent(hash.substr(1));
+
+    if (!id) {
+        return null;
+    }
+
+    return (
+        document.getElementById(id) ||
+        document.querySelector(`[name="${id.replace(/"/g, '\\"')}"]`)
+    );
+}
+
+/**
+ * Wait for an element to show up in the DOM. Resolves with `null` if it never does.
+ *
+ * @private
+ * @param {function} getElement - Function returning the element, or `null` if it isn't there yet.
+ * @returns {Promise<Element|null>}
+ */
+function waitForElement(getElement) {
+    const startTime = Date.now();
+
+    return new Promise(resolve => {
+        function check() {
+            const element = getElement();
+
+            if (element || Date.now() - startTime > elementWaitTimeoutMs) {
+                resolve(element);
+            } else {
+                window.requestAnimationFrame(check);
+            }
+        }
+
+        check();
+    });
+}
+
+/**
+ * Get the height of the sticky header, as a number of pixels.
+ *
+ * @private
+ * @param {number|string|function} headerOffset
+ * @returns {number}
+ */
+function getHeaderOffset(headerOffset) {
+    if (typeof headerOffset === "function") {
+        return headerOffset();
+    }
+
+    if (typeof headerOffset === "string") {
+        const header = document.querySelector(headerOffset);
+        return header ? header.offsetHeight : 0;
+    }
+
+    return headerOffset || 0;
+}
+
+/**
+ * Move focus to the given element, making it focusable first if it isn't already.
+ *
+ * @private
+ * @param {HTMLElement} element
+ */
+function moveFocus(element) {
+    if (!element.hasAttribute("tabindex")) {
+        element.setAttribute("tabindex", "-1");
+    }
+
+    // We've already scrolled to where we want to be, so don't let the browser scroll again.
+    element.focus({ preventScroll: true });
+}
+
+/**
+ * Restore scroll positions, scroll to hash targets and manage focus when the router navigates.
+ *
+ * @param {object} props
+ * @param {number|string|function} [props.headerOffset=0] - Height of a sticky header to keep hash targets clear of. Can be a number of pixels, a selector for the header element, or a function returning a number.
+ * @param {number} [props.duration=0] - Duration of the scroll in ms. `0` jumps straight there.
+ * @param {string} [props.focusSelector="main h1, h1"] - Selector for the heading that receives focus after navigation.
+ * @returns {null}
+ */
+export const ScrollRestoration = ({
+    headerOffset = 0,
+    duration = 0,
+    focusSelector = "main h1, h1"
+}) => {
+    const { location } = useRouter();
+    const scrollPositions = useRef(null);
+    const currentKey = useRef(location.key);
+    const nextKey = useRef(null);
+    const isInitialLocation = useRef(true);
+    const options = useRef();
+
+    // Kept in a ref, so an inline `headerOffset` function doesn't cause a scroll on every render.
+    options.current = { headerOffset, duration, focusSelector };
+
+    if (!scrollPositions.current) {
+        scrollPositions.current = readScrollPositions();
+    }
+
+    // Save the position of the entry we're leaving before the new location renders - rendering it might make the page
+    // shorter, and the scroll events from that belong to neither entry.
+    if (
+        location.key !== currentKey.current &&
+        location.key !== nextKey.current
+    ) {
+        scrollPositions.current[currentKey.current] = getElementScroll(window);
+        nextKey.current = location.key;
+    }
+
+    // Take over scroll restoration from the browser, and keep track of the scroll offset of the current entry.
+    useEffect(() => {
+        const { history } = window;
+        const originalScrollRestoration = history.scrollRestoration;
+
+        if (originalScrollRestoration) {
+            history.scrollRestoration = "manual";
+        }
+
+        const storePosition = () => {
+            // Wait for the new location to take over
+            if (nextKey.current !== null) {
+                return;
+            }
+
+            scrollPositions.current[currentKey.current] = getElementScroll(
+                window
+            );
+        };
+
+        const persistPositions = () =>
+            writeScrollPositions(scrollPositions.current);
+
+        addEvent(window, "scroll", storePosition);
+        addEvent(window, "pagehide", persistPositions);
+
+        return () => {
+            if (originalScrollRestoration) {
+                history.scrollRestoration = originalScrollRestoration;
+            }
+
+            removeEvent(window, "scroll", storePosition);
+            removeEvent(window, "pagehide", persistPositions);
+            persistPositions();
+        };
+    }, []);
+
+    // Scroll and move focus whenever the location changes.
+    useEffect(() => {
+        const { headerOffset, duration, focusSelector } = options.current;
+        const isInitial = isInitialLocation.current;
+        const savedPosition = scrollPositions.current[location.key];
+        let cancelled = false;
+
+        isInitialLocation.current = false;
+        currentKey.current = location.key;
+        nextKey.current = null;
+
+        if (location.action === "POP" && savedPosition) {
+            void scrollTo([savedPosition.left, savedPosition.top], duration);
+        } else if (location.hash) {
+            waitForElement(() => getHashTarget(location.hash)).then(target => {
+                if (target && !cancelled) {
+                    scrollTo(
+                        target,
+                        duration,
+                        window,
+                        -getHeaderOffset(headerOffset)
+                    ).then(() => {
+                        if (!isInitial && !cancelled) {
+                            moveFocus(target);
+                        }
+                    });
+                }
+            });
+
+            return () => {
+                cancelled = true;
+            };
+        } else if (location.action === "PUSH") {
+            void scrollTo([0, 0], 0);
+        }
+
+        // Leave focus alone on the initial page load - the browser has it covered.
+        if (!isInitial) {
+            waitForElement(() => document.querySelector(focusSelector)).then(
+                heading => {
+                    if (heading && !cancelled) {
+                        moveFocus(heading);
+                    }
+                }
+            );
+        }
+
+        return () => {
+            cancelled = true;
+        };
+    }, [location]);
+
+    return null;
+};
+
+ScrollRestoration.propTypes = {
+    headerOffset: PropTypes.oneOfType([
+        PropTypes.number,
+        PropTypes.string,
+        PropTypes.func
+    ]),
+    duration: PropTypes.number,
+    focusSelector: PropTypes.string
+};
@@ -0,0 +1,206 @@
+/**
+ * A tiny shared store for React.
+ *
+ * Every `data-react-element` started by the `reactBootstrapper` is its own React tree, so regular React state can't be
+ * shared between them. Create a store, pass it to the `reactBootstrapper` as a provider, and every island can read
+ * from and write to the same state - and will re-render when the part of the state it uses changes.
+ *
+ * @module utils/react/store
+ *
+ * @example
+ * <caption>
+ * Setting it up:
+ * </caption>
+ * import { reactBootstrapper } from "./utils/react/reactBootstrapper";
+ * import { createStore, StoreProvider } from "./utils/react/store";
+ *
+ * const store = createStore({ cartCount: 0 });
+ *
+ * reactBootstrapper({ MiniCart, ProductTile }, document, {
+ *     providers: [[StoreProvider, { store }]]
+ * });
+ *
+ * @example
+ * <caption>
+ * Using it inside the islands:
+ * </caption>
+ * import { useStore } from "./utils/react/store";
+ *
+ * const MiniCart = () => {
+ *     const [cartCount] = useStore(state => state.cartCount);
+ *     return <span>{cartCount}</span>;
+ * };
+ *
+ * const ProductTile = () => {
+ *     const [, setState] = useStore(state => state.cartCount);
+ *     return (
+ *         <button onClick={() => setState(state => ({ cartCount: state.cartCount + 1 }))}>
+ *             Add to cart
+ *         </button>
+ *     );
+ * };
+ */
+
+import React, {
+    createContext,
+    useContext,
+    useEffect,
+    useReducer,
+    useRef
+} from "react";
+import PropTypes from "prop-types";
+
+/**
+ * @typedef {object} Store
+ * @property {function} getState - Returns the current state.
+ * @property {function} setState - Takes an object to merge into the state, or a function that receives the current state and returns such an object.
+ * @property {function} subscribe - Takes a listener to call when the state changes, and returns a function to unsubscribe again.
+ */
+
+const StoreContext = createContext(null);
+
+/**
+ * Create a new store.
+ *
+ * @param {object} [initialState={}] - The initial state.
+ * @returns {Store}
+ */
+export function createStore(initialState = {}) {
+    let state = initialState;
+    let listeners = [];
+
+    return {
+        getState: () => state,
+        setState: update => {
+            const changes =
+                typeof update === "function" ? update(state) : update;
+
+            state = { ...state, ...changes };
+
+            // Copy the list, so listeners can unsubscribe while we're looping.
+            listeners.slice().forEach(listener => listener(state));
+        },
+        subscribe: listener => {
+            listeners.push(listener);
+
+            return () => {
+                listeners = listeners.filter(
+                    otherListener => otherListener !== listener
+                );
+            };
+        }
+    };
+}
+
+/**
+ * Make the given store available to every component below it.
+ *
+ * @param {object} props
+ * @param {Store} props.store
+ */
+export const StoreProvider = ({ store, children }) => (
+    <StoreContext.Provider value={store}>{children}</StoreContext.Provider>
+);
+
+StoreProvider.propTypes = {
+    store: PropTypes.shape({
+        getState: PropTypes.func.isRequired,
+        setState: PropTypes.func.isRequired,
+        subscribe: PropTypes.func.isRequired
+    }).isRequired,
+    children: PropTypes.node
+};
+
+/**
+ * Check whether two values are the same, or objects (or arrays) with the same keys and values.
+ *
+ * @private
+ * @param {*} a
+ * @param {*} b
+ * @returns {boolean}
+ */
+function shallowEqual(a, b) {
+    if (Object.is(a, b)) {
+        return true;
+    }
+
+    if (
+        typeof a !== "object" ||
+        typeof b !== "object" ||
+        a === null ||
+        b === null
+    ) {
+        return false;
+    }
+
+    const keysOfA = Object.keys(a);
+    const keysOfB = Object.keys(b);
+
+    return (
+        keysOfA.length === keysOfB.length &&
+        keysOfA.every(
+            key =>
+                Object.prototype.hasOwnProperty.call(b, key) &&
+                Object.is(a[key], b[key])
+        )
+    );
+}
+
+/**
+ * Read from and write to the store provided by the nearest `StoreProvider`. The component re-renders whenever the
+ * selected part of the state changes.
+ *
+ * @param {function} [selector] - Picks the part of the state the component needs. Defaults to the entire state.
+ * @param {function} [isEqual] - Compares the previously and newly selected state. Defaults to a shallow comparison, so selectors can return new objects or arrays.
+ * @returns {Array} A tuple of `[selectedState, setState]`.
+ */
+export function useStore(selector = state => state, isEqual = shallowEqual) {
+    const store = useContext(StoreContext);
+    const [, forceRender] = useReducer(count => count + 1, 0);
+    const selectedRef = useRef();
+    const hasSelectedRef = useRef(false);
+
+    if (!store) {
+        throw new Error(
+            "useStore() must be used inside a StoreProvider. Did you forget to pass it to the reactBootstrapper?"
+        );
+    }
+
+    const newSelectedState = selector(store.getState());
+
+    // Hand out the same object as long as it's equal, so it's safe to use in the dependencies of effects.
+    if (
+        !hasSelectedRef.current ||
+        !isEqual(selectedRef.current, newSelectedState)
+    ) {
+        selectedRef.current = newSelectedState;
+        hasSelectedRef.current = true;
+    }
+
+    const selectedState = selectedRef.current;
+
+    // The listener needs the latest selector, not the one from when it subscribed - inline selectors change on every
+    // render.
+    const latestRef = useRef();
+    latestRef.current = { selector, isEqual };
+
+    useEffect(() => {
+        const checkForChanges = state => {
+            const {
+                selector: latestSelector,
+                isEqual: latestIsEqual
+            } = latestRef.current;
+
+            if (!latestIsEqual(selectedRef.current, latestSelector(state))) {
+                forceRender();
+            }
+        };
+
+        // The state might have changed between rendering and subscribing.
+        checkForChanges(store.getState());
+
+        return store.subscribe(checkForChanges);
+    }, [store]);
+
+    return [selectedState, store.setState];
+}
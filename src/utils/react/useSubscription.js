@@ -0,0 +1,52 @@
+/**
+ * React hook for subscribing to the message bus (see `utils/events/messageBus`), so React islands can talk to each
+ * other and to vanilla modules. The subscription is removed when the component unmounts.
+ *
+ * @module utils/react/useSubscription
+ *
+ * @example
+ * import React, { useState } from "react";
+ * import { useSubscription } from "./utils/react/useSubscription";
+ * import { publish } from "./utils/events/messageBus";
+ *
+ * const MiniCart = () => {
+ *     const [count, setCount] = useState(0);
+ *
+ *     // Replay the last known value, in case the cart was updated before we were mounted.
+ *     useSubscription("cart.count", setCount, { replay: true });
+ *
+ *     return <span>{count}</span>;
+ * };
+ *
+ * const ProductTile = ({ sku }) => (
+ *     <button onClick={() => publish("cart.item.added", { sku })}>Add to cart</button>
+ * );
+ */
+
+import { useEffect, useRef } from "react";
+import { subscribe } from "../events/messageBus";
+
+/**
+ * Subscribe to a topic on the message bus for as long as the component is mounted.
+ *
+ * @param {string} pattern - The topic to subscribe to. May contain `*` and `**` wildcards.
+ * @param {function} callback - Called with `(data, topic)` every time a matching message is published.
+ * @param {object} [options={}]
+ * @param {boolean} [options.replay=false] - Call the callback right away with the last value published on every matching topic, if any.
+ */
+export function useSubscription(pattern, callback, { replay = false } = {}) {
+    const callbackRef = useRef(callback);
+
+    // Always call the latest callback, without resubscribing every time the component renders.
+    callbackRef.current = callback;
+
+    useEffect(
+        () =>
+            subscribe(
+                pattern,
+                (data, topic) => callbackRef.current(data, topic),
+                { replay }
+            ),
+        [pattern, replay]
+    );
+}